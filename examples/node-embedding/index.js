@@ -1,17 +1,16 @@
-const { IDGAF, GGUFAdapter, TFLiteAdapter } = require('@idgaf/core');
+const { IDGAF } = require('@idgaf/core');
 
 async function main() {
   console.log('🚀 Starting IDGAF.ai Node.js Example');
 
-  const ai = new IDGAF({
+  // Built-in adapters register themselves when their runtimes are installed
+  const ai = await IDGAF.create({
     modelCachePath: './models',
     maxCacheSize: 4 * 1024 * 1024 * 1024, // 4GB
     logLevel: 'info'
   });
 
-  // Register adapters
-  ai.registry.registerAdapter(new GGUFAdapter());
-  ai.registry.registerAdapter(new TFLiteAdapter());
+  console.log('🧩 Adapters:', ai.getAdapters().map(a => `${a.name} (${a.available ? 'available' : 'missing runtime'})`));
 
   console.log('🔧 Hardware Info:', await ai.getHardwareInfo());
 
@@ -155,6 +154,7 @@ async function main() {
     console.log('- .pte files (PyTorch ExecuTorch)');
   }
 
+  await ai.dispose();
   console.log('\n✅ Example completed!');
 }
 
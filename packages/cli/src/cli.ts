@@ -2,6 +2,7 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { AIConfig, loadConfig } from '@idgaf/core';
 import { downloadCommand } from './commands/download';
 import { modelsCommand } from './commands/models';
 import { testCommand } from './commands/test';
@@ -18,8 +19,21 @@ program
 // Global options
 program
   .option('-v, --verbose', 'verbose output')
-  .option('--config <path>', 'config file path', './.idgafrc')
-  .option('--cache <path>', 'model cache path', './models');
+  .option('--config <path>', 'config file path (default: .idgafrc in the current or home directory)')
+  .option('--cache <path>', 'model cache path (default: modelCachePath from the config, or ./models)');
+
+// Config
+program.hook('preAction', () => {
+  let config: AIConfig = {};
+  try {
+    config = loadConfig({ path: program.opts().config });
+  } catch (error) {
+    program.error(`Invalid config: ${(error as Error).message}`);
+  }
+
+  // Commands read the cache path from program.opts(), so resolve it against the config once here
+  program.setOptionValue('cache', program.opts().cache ?? config.modelCachePath ?? './models');
+});
 
 // Commands
 program
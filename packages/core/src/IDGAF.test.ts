@@ -0,0 +1,489 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { IDGAF } from './IDGAF';
+import { AIConfig, IDGAFEvents, LoadedModel, ModelAdapter, ModelOptions } from './types';
+import { AIError, ErrorCode } from './utils/ErrorHandler';
+
+jest.mock('./runtime/HardwareDetection', () => ({
+  HardwareDetection: {
+    detect: async () => ({ platform: 'linux', hasGPU: false, hasNPU: false, memoryMB: 8192, cores: 4, architecture: 'x64' }),
+    getOptimalSettings: () => ({ batchSize: 2 })
+  }
+}));
+
+type FakeModel = Partial<Omit<LoadedModel, 'id' | 'adapter'>>;
+
+const silent = { debug: () => undefined, info: () => undefined, warn: () => undefined, error: () => undefined };
+
+const directories: string[] = [];
+
+const untilAborted = (signal?: AbortSignal) =>
+  new Promise<never>((_, reject) => signal?.addEventListener('abort', () => reject(signal.reason)));
+
+async function drain<T, R>(stream: AsyncGenerator<T, R>): Promise<{ values: T[]; result: R }> {
+  const values: T[] = [];
+  let next: IteratorResult<T, R>;
+  while (!(next = await stream.next()).done) values.push(next.value);
+  return { values, result: next.value };
+}
+
+async function modelDirectory(ids: string[]): Promise<string> {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'idgaf-'));
+  directories.push(directory);
+  for (const id of ids) {
+    await fs.promises.writeFile(path.join(directory, `${id}.gguf`), 'x');
+  }
+  return directory;
+}
+
+function fakeAdapter(models: Record<string, FakeModel>, unloaded: string[] = []): ModelAdapter {
+  const adapter: ModelAdapter = {
+    format: 'gguf',
+    supportedTypes: ['llm', 'embedding'],
+    canHandle: modelPath => modelPath.endsWith('.gguf'),
+    getCapabilities: () => ({ supportsStreaming: true, supportsGPU: false, supportsQuantization: [], supportedFormats: ['gguf'] }),
+    async loadModel(modelPath) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const id = path.basename(modelPath, '.gguf');
+      const { info, ...capabilities } = models[id];
+      return {
+        id,
+        info: { name: id, format: 'gguf', type: 'llm', size: 1, version: '1.0.0', checksum: '', metadata: {}, ...info },
+        adapter,
+        ...capabilities
+      };
+    },
+    async unloadModel(modelId) {
+      unloaded.push(modelId);
+    }
+  };
+  return adapter;
+}
+
+async function setup(models: Record<string, FakeModel>, config: AIConfig = {}) {
+  const directory = await modelDirectory(Object.keys(models));
+  const unloaded: string[] = [];
+  const ai = await IDGAF.create({
+    autoRegisterAdapters: false,
+    adapters: [fakeAdapter(models, unloaded)],
+    modelCachePath: directory,
+    logger: silent,
+    ...config
+  });
+  const load = (id: string, options?: ModelOptions) => ai.loadModel(path.join(directory, `${id}.gguf`), options);
+
+  return { ai, load, unloaded };
+}
+
+function recordEvents(ai: IDGAF): Array<[keyof IDGAFEvents, any]> {
+  const events: Array<[keyof IDGAFEvents, any]> = [];
+  const names: Array<keyof IDGAFEvents> = [
+    'model:loading', 'model:loaded', 'model:unloaded', 'inference:start', 'inference:token',
+    'tool:call', 'inference:end', 'fallback', 'error'
+  ];
+  for (const name of names) {
+    ai.on(name, payload => events.push([name, payload]));
+  }
+  return events;
+}
+
+afterAll(async () => {
+  await Promise.all(directories.map(directory => fs.promises.rm(directory, { recursive: true, force: true })));
+});
+
+describe('IDGAF', () => {
+  describe('ready', () => {
+    it('should record a failed preload and retry it on the next ready()', async () => {
+      const directory = await modelDirectory(['llama']);
+      const source = path.join(directory, 'llama.gguf');
+      const adapter = fakeAdapter({ llama: {} });
+      const loadModel = adapter.loadModel.bind(adapter);
+      let failing = true;
+      adapter.loadModel = async (modelPath, options) => {
+        if (failing) throw new Error('disk error');
+        return loadModel(modelPath, options);
+      };
+      const ai = new IDGAF({ autoRegisterAdapters: false, adapters: [adapter], modelCachePath: directory, logger: silent, preload: [source] });
+
+      await expect(ai.ready()).rejects.toMatchObject({ code: ErrorCode.MODEL_LOAD_FAILED });
+      expect(Array.from(ai.getPreloadFailures().keys())).toEqual([source]);
+
+      failing = false;
+      await ai.ready();
+      expect(ai.getPreloadFailures().size).toBe(0);
+      expect(ai.getLoadedModels().map(model => model.id)).toEqual(['llama']);
+      await ai.dispose();
+    });
+  });
+
+  describe('memory admission', () => {
+    it('should size the memory budget from detected RAM and ignore the download cache limit', async () => {
+      const { ai } = await setup({}, { maxCacheSize: 1024 });
+
+      expect(ai.getMemoryUsage().limitBytes).toBe(8192 * 1024 * 1024);
+      await ai.dispose();
+    });
+
+    it('should prefer hardware.maxMemoryMB over detected RAM', async () => {
+      const { ai } = await setup({}, { hardware: { maxMemoryMB: 300 } });
+
+      expect(ai.getMemoryUsage().limitBytes).toBe(300 * 1024 * 1024);
+      await ai.dispose();
+    });
+
+    it('should reject a concurrent load instead of evicting a model under the reject policy', async () => {
+      const { ai, load, unloaded } = await setup({ 'llama-a': {}, 'llama-b': {} }, {
+        hardware: { maxMemoryMB: 300 },
+        memoryPolicy: 'reject'
+      });
+
+      const results = await Promise.allSettled([load('llama-a'), load('llama-b')]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect((results[1] as PromiseRejectedResult).reason).toMatchObject({ code: ErrorCode.MEMORY_ERROR });
+      expect(ai.getLoadedModels().map(model => model.id)).toEqual(['llama-a']);
+      expect(unloaded).toEqual([]);
+      await ai.dispose();
+    });
+  });
+
+  describe('loadModel', () => {
+    it('should unload a model whose alias was taken while it was loading', async () => {
+      const { ai, load, unloaded } = await setup({ 'llama-a': {}, 'llama-b': {} });
+
+      const results = await Promise.allSettled([
+        load('llama-a', { alias: 'chat' }),
+        load('llama-b', { alias: 'chat' })
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect((results[1] as PromiseRejectedResult).reason).toMatchObject({ code: ErrorCode.CONFIGURATION_ERROR });
+      expect(unloaded).toEqual(['llama-b']);
+      expect(ai.getLoadedModels().map(model => model.id)).toEqual(['llama-a']);
+      await ai.dispose();
+    });
+  });
+
+  describe('fallback', () => {
+    it('should walk the chain in order and report each failed attempt', async () => {
+      const { ai, load } = await setup({
+        'llama-a': { generate: async function* () { throw AIError.inferenceFailed('generate', 'a broke'); } },
+        'llama-b': { generate: async function* () { throw new Error('b broke'); } },
+        'llama-c': { generate: async function* () { yield 'ok'; } }
+      }, { fallbacks: { generate: ['llama-b', 'llama-c'] } });
+      await load('llama-a');
+      await load('llama-b');
+      await load('llama-c');
+      const fallbacks: unknown[] = [];
+      const errors: unknown[] = [];
+      ai.on('fallback', event => fallbacks.push(event));
+      ai.on('error', event => errors.push(event));
+
+      const { values, result } = await drain(ai.generate('hi', { model: 'llama-a' }));
+
+      expect(values).toEqual(['ok']);
+      expect(result.modelId).toBe('llama-c');
+      expect(result.failedAttempts).toEqual([
+        expect.objectContaining({ modelId: 'llama-a', code: ErrorCode.INFERENCE_FAILED }),
+        expect.objectContaining({ modelId: 'llama-b', code: ErrorCode.INFERENCE_FAILED })
+      ]);
+      expect(fallbacks).toEqual([
+        expect.objectContaining({ task: 'generate', from: 'llama-a', to: 'llama-b', attempt: 1 }),
+        expect.objectContaining({ task: 'generate', from: 'llama-b', to: 'llama-c', attempt: 2 })
+      ]);
+      expect(errors).toEqual([]);
+      await ai.dispose();
+    });
+
+    it('should emit error once when the last model in the chain fails', async () => {
+      const { ai, load } = await setup({
+        'llama-a': { generate: async function* () { throw new Error('a broke'); } },
+        'llama-b': { generate: async function* () { throw new Error('b broke'); } }
+      }, { fallbacks: { generate: ['llama-b'] } });
+      await load('llama-a');
+      await load('llama-b');
+      const errors: Array<{ modelId?: string }> = [];
+      ai.on('error', event => errors.push(event));
+
+      await expect(drain(ai.generate('hi', { model: 'llama-a' }))).rejects.toMatchObject({ code: ErrorCode.INFERENCE_FAILED });
+
+      expect(errors.map(event => event.modelId)).toEqual(['llama-b']);
+      await ai.dispose();
+    });
+
+    it('should time out a hung request and serve it from the next model', async () => {
+      const embedding = new Float32Array([1, 2]);
+      const { ai, load } = await setup({
+        slow: { info: { type: 'embedding' } as LoadedModel['info'], embed: async (_input, options) => untilAborted(options?.signal) },
+        fast: { info: { type: 'embedding' } as LoadedModel['info'], embed: async () => embedding }
+      }, { fallbacks: { embed: ['fast'] } });
+      await load('slow');
+      await load('fast');
+      const fallbacks: Array<{ error: unknown }> = [];
+      ai.on('fallback', event => fallbacks.push(event));
+
+      expect(await ai.embed('hi', { model: 'slow', timeoutMs: 20 })).toBe(embedding);
+      expect(fallbacks).toEqual([expect.objectContaining({ error: expect.objectContaining({ code: ErrorCode.TIMEOUT_ERROR }) })]);
+      await ai.dispose();
+    });
+
+    it('should apply the per-task timeout to a stream that never yields', async () => {
+      const { ai, load } = await setup({
+        'llama-a': { generate: async function* (_prompt, options) { yield await untilAborted(options?.signal); } },
+        'llama-b': { generate: async function* () { yield 'ok'; } }
+      }, { fallbacks: { generate: ['llama-b'] }, timeouts: { generate: 20 } });
+      await load('llama-a');
+      await load('llama-b');
+
+      const { values, result } = await drain(ai.generate('hi', { model: 'llama-a' }));
+
+      expect(values).toEqual(['ok']);
+      expect(result.failedAttempts).toEqual([expect.objectContaining({ modelId: 'llama-a', code: ErrorCode.TIMEOUT_ERROR })]);
+      await ai.dispose();
+    });
+
+    it('should not time out while the consumer holds a stream between chunks', async () => {
+      const { ai, load } = await setup({
+        llama: { generate: async function* () { yield 'a'; yield 'b'; } }
+      }, { timeouts: { generate: 20 } });
+      await load('llama');
+
+      const stream = ai.generate('hi');
+      expect(await stream.next()).toEqual({ done: false, value: 'a' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(await stream.next()).toEqual({ done: false, value: 'b' });
+      await drain(stream);
+      await ai.dispose();
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should report a caller abort as CANCELLED even when the adapter throws its own error', async () => {
+      const controller = new AbortController();
+      const { ai, load } = await setup({
+        'llama-a': {
+          generate: async function* (_prompt, options) {
+            yield 'a';
+            await new Promise(resolve => options?.signal?.addEventListener('abort', resolve));
+            throw new Error('socket closed');
+          }
+        },
+        'llama-b': { generate: async function* () { yield 'b'; } }
+      }, { fallbacks: { generate: ['llama-b'] } });
+      await load('llama-a');
+      await load('llama-b');
+      const errors: Array<{ error: unknown }> = [];
+      ai.on('error', event => errors.push(event));
+
+      const stream = ai.generate('hi', { model: 'llama-a', signal: controller.signal });
+      expect(await stream.next()).toEqual({ done: false, value: 'a' });
+      const pending = stream.next();
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ code: ErrorCode.CANCELLED });
+      expect(errors).toEqual([expect.objectContaining({ error: expect.objectContaining({ code: ErrorCode.CANCELLED }) })]);
+      await ai.dispose();
+    });
+  });
+
+  describe('embedBatch', () => {
+    const embedder = (embed: (input: string, options?: { signal?: AbortSignal }) => Promise<Float32Array>) => ({
+      embedder: { info: { type: 'embedding' } as LoadedModel['info'], embed: embed as LoadedModel['embed'] }
+    });
+
+    it('should return results in input order across chunks and report progress', async () => {
+      const { ai, load } = await setup(embedder(async input => {
+        await new Promise(resolve => setTimeout(resolve, 'ecab'.indexOf(input) + 1));
+        return new Float32Array([input.charCodeAt(0)]);
+      }));
+      await load('embedder');
+      const progress: number[][] = [];
+
+      const results = await ai.embedBatch(['a', 'b', 'c', 'd', 'e'], {
+        batchSize: 2,
+        onProgress: (completed, total) => progress.push([completed, total])
+      });
+
+      expect(results.map(result => result.index)).toEqual([0, 1, 2, 3, 4]);
+      expect(results.map(result => result.status === 'fulfilled' && result.value[0])).toEqual([97, 98, 99, 100, 101]);
+      expect(progress).toEqual([[2, 5], [4, 5], [5, 5]]);
+      await ai.dispose();
+    });
+
+    it('should reject only the item that failed', async () => {
+      const { ai, load } = await setup(embedder(async input => {
+        if (input === 'bad') throw new Error('tokenizer broke');
+        return new Float32Array([1]);
+      }));
+      await load('embedder');
+
+      const results = await ai.embedBatch(['a', 'bad', 'c'], { batchSize: 3 });
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+      expect(results[1]).toMatchObject({ index: 1, error: { code: ErrorCode.INFERENCE_FAILED } });
+      await ai.dispose();
+    });
+
+    it('should report every item of a failed chunk as rejected and keep going', async () => {
+      const { ai, load } = await setup(embedder(async (input, options) =>
+        input === 'slow' ? untilAborted(options?.signal) : new Float32Array([1])
+      ));
+      await load('embedder');
+
+      const results = await ai.embedBatch(['a', 'b', 'slow', 'd', 'e'], { batchSize: 2, timeoutMs: 30 });
+
+      expect(results.map(result => [result.index, result.status])).toEqual([
+        [0, 'fulfilled'], [1, 'fulfilled'], [2, 'rejected'], [3, 'rejected'], [4, 'fulfilled']
+      ]);
+      expect(results[2]).toMatchObject({ error: { code: ErrorCode.TIMEOUT_ERROR } });
+      expect(results[3]).toMatchObject({ error: { code: ErrorCode.TIMEOUT_ERROR } });
+      await ai.dispose();
+    });
+  });
+
+  describe('chat', () => {
+    it('should serialize concurrent turns on the same conversation', async () => {
+      const seen: string[][] = [];
+      const { ai, load } = await setup({
+        llama: {
+          chat: async function* (messages) {
+            seen.push(messages.map(message => message.content));
+            await new Promise(resolve => setTimeout(resolve, 5));
+            yield `re: ${messages[messages.length - 1].content}`;
+          }
+        }
+      });
+      await load('llama');
+
+      await Promise.all([
+        drain(ai.chat([{ role: 'user', content: 'one' }], { conversationId: 'c' })),
+        drain(ai.chat([{ role: 'user', content: 'two' }], { conversationId: 'c' }))
+      ]);
+
+      expect(seen).toEqual([['one'], ['one', 're: one', 'two']]);
+      expect((await ai.conversations.get('c'))?.messages.map(message => message.content))
+        .toEqual(['one', 're: one', 'two', 're: two']);
+      await ai.dispose();
+    });
+
+    it('should release the conversation when a turn fails', async () => {
+      let fail = true;
+      const { ai, load } = await setup({
+        llama: { chat: async function* () { if (fail) throw new Error('broke'); yield 'ok'; } }
+      });
+      await load('llama');
+
+      await expect(drain(ai.chat([{ role: 'user', content: 'one' }], { conversationId: 'c' }))).rejects.toThrow();
+      fail = false;
+      await drain(ai.chat([{ role: 'user', content: 'two' }], { conversationId: 'c' }));
+
+      expect((await ai.conversations.get('c'))?.messages.map(message => message.content)).toEqual(['two', 'ok']);
+      await ai.dispose();
+    });
+  });
+
+  describe('events', () => {
+    it('should announce model loads and unloads', async () => {
+      const { ai, load } = await setup({ llama: {} });
+      const events = recordEvents(ai);
+
+      const model = await load('llama', { alias: 'chat' });
+      await ai.unloadModel('chat');
+
+      expect(events).toEqual([
+        ['model:loading', { source: expect.stringMatching(/llama\.gguf$/), alias: 'chat' }],
+        ['model:loaded', { model, loadTimeMs: expect.any(Number) }],
+        ['model:unloaded', { modelId: 'llama', alias: 'chat' }]
+      ]);
+      await ai.dispose();
+    });
+
+    it('should report a failed load as an error event', async () => {
+      const { ai } = await setup({});
+      const events = recordEvents(ai);
+
+      await expect(ai.loadModel('/missing/model.gguf')).rejects.toBeInstanceOf(AIError);
+
+      expect(events.map(([name]) => name)).toEqual(['model:loading', 'error']);
+      expect(events[1][1]).toEqual({ error: expect.any(AIError), task: 'loadModel' });
+      await ai.dispose();
+    });
+
+    it('should tie stream start, tokens, tool calls and end together by request id', async () => {
+      const toolCall = { id: 'call_1', name: 'lookup', arguments: { q: 'x' } };
+      const { ai, load } = await setup({
+        llama: { chat: async function* () { yield 'a'; yield 'b'; yield { type: 'tool_call', toolCall }; } }
+      });
+      await load('llama');
+      const events = recordEvents(ai);
+
+      await drain(ai.chat([{ role: 'user', content: 'hi' }], { tools: [{ name: 'lookup' }] }));
+
+      const requestId = events[0][1].requestId;
+      expect(events).toEqual([
+        ['inference:start', { requestId, task: 'chat', modelId: 'llama' }],
+        ['inference:token', { requestId, modelId: 'llama', token: 'a', index: 0 }],
+        ['inference:token', { requestId, modelId: 'llama', token: 'b', index: 1 }],
+        ['tool:call', { requestId, modelId: 'llama', toolCall }],
+        ['inference:end', expect.objectContaining({ requestId, task: 'chat', modelId: 'llama', durationMs: expect.any(Number) })]
+      ]);
+      await ai.dispose();
+    });
+
+    it('should emit start and end without tokens for non-streaming tasks', async () => {
+      const { ai, load } = await setup({
+        embedder: { info: { type: 'embedding' } as LoadedModel['info'], embed: async () => new Float32Array([1]) }
+      });
+      await load('embedder');
+      const events = recordEvents(ai);
+
+      await ai.embed('hi');
+
+      expect(events.map(([name]) => name)).toEqual(['inference:start', 'inference:end']);
+      expect(events[1][1]).toEqual({ requestId: events[0][1].requestId, task: 'embed', modelId: 'embedder', durationMs: expect.any(Number) });
+      await ai.dispose();
+    });
+
+    it('should carry the failing error in the fallback payload and end only the request that succeeded', async () => {
+      const failure = AIError.inferenceFailed('generate', new Error('out of memory'));
+      const { ai, load } = await setup({
+        'llama-a': { generate: async function* () { throw failure; } },
+        'llama-b': { generate: async function* () { yield 'ok'; } }
+      }, { fallbacks: { generate: ['llama-b'] } });
+      await load('llama-a');
+      await load('llama-b');
+      const events = recordEvents(ai);
+
+      await drain(ai.generate('hi', { model: 'llama-a' }));
+
+      expect(events.map(([name, payload]) => `${name}:${payload.modelId ?? payload.from}`)).toEqual([
+        'inference:start:llama-a',
+        'fallback:llama-a',
+        'inference:start:llama-b',
+        'inference:token:llama-b',
+        'inference:end:llama-b'
+      ]);
+      expect(events[1][1]).toEqual({ task: 'generate', from: 'llama-a', to: 'llama-b', error: failure, attempt: 1 });
+      expect(events[0][1].requestId).not.toBe(events[2][1].requestId);
+      await ai.dispose();
+    });
+  });
+
+  describe('dispose', () => {
+    it('should cancel a stream that is paused mid-iteration instead of waiting for it', async () => {
+      const { ai, load, unloaded } = await setup({
+        llama: { generate: async function* () { yield 'a'; yield 'b'; } }
+      });
+      await load('llama');
+
+      const stream = ai.generate('hi');
+      expect(await stream.next()).toEqual({ done: false, value: 'a' });
+
+      await ai.dispose();
+
+      expect(unloaded).toEqual(['llama']);
+      await expect(stream.next()).rejects.toMatchObject({ code: ErrorCode.CANCELLED });
+    });
+  });
+});
\ No newline at end of file
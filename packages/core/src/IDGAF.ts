@@ -16,20 +16,95 @@ import {
   LoadedModel,
   ModelInfo,
   PerformanceMetrics,
-  HardwareInfo
+  HardwareInfo,
+  ModelAdapter,
+  AdapterPlugin,
+  AdapterDescriptor,
+  InferenceTask,
+  InferenceOptions,
+  IDGAFEvents,
+  BatchOptions,
+  BatchItemResult,
+  PerformanceReport,
+  MetricsSnapshot,
+  LoadConfigOptions,
+  InferenceMetadata,
+  FallbackAttempt,
+  ContextWindowReport,
+  GenerateObjectOptions,
+  GenerateObjectResult,
+  ChatChunk,
+  ToolCall,
+  ToolDefinition,
+  GenerationInfo,
+  TextResult,
+  TokenChunk,
+  ToolCallChunk
 } from './types';
+import * as path from 'path';
 import { ModelRegistry } from './runtime/ModelRegistry';
 import { ModelManager } from './runtime/ModelManager';
 import { HardwareDetection } from './runtime/HardwareDetection';
-
-export class IDGAF {
+import { TelemetryRecorder, FileTelemetrySink } from './runtime/Telemetry';
+import { LRUCache } from './runtime/LRUCache';
+import { InferenceScheduler, SchedulerSlot } from './runtime/InferenceScheduler';
+import { MetricsCollector } from './runtime/MetricsCollector';
+import { renderOpenMetrics } from './runtime/MetricsExporter';
+import { loadConfig, mergeConfig, validateConfig, validateSamplingOptions } from './runtime/ConfigLoader';
+import { fitContextWindow } from './runtime/ContextWindow';
+import { ConversationManager, FileConversationStore, InMemoryConversationStore } from './runtime/ConversationStore';
+import {
+  builtinPlugins,
+  isAdapterPlugin,
+  adapterToPlugin,
+  isPluginAvailable
+} from './adapters/AdapterPlugins';
+import { AIError, ErrorHandler } from './utils/ErrorHandler';
+import { abortError, drainStream, linkAbortSignals, linkDeadline, tapStream, throwIfAborted, withAbortSignal } from './utils/StreamingUtils';
+import { extractJson, validateJsonSchema } from './utils/JsonSchema';
+import { TypedEventEmitter } from './utils/EventEmitter';
+import { Logger, LogLevel, LogFields, ConsoleLogger, withRedaction, childLogger } from './utils/Logger';
+
+function textOf(chunk: ChatChunk): string | undefined {
+  if (typeof chunk === 'string') return chunk;
+  return chunk.type === 'token' ? chunk.text : undefined;
+}
+
+interface InferenceOutcome<T> {
+  value: T;
+  metadata: InferenceMetadata;
+}
+
+export class IDGAF extends TypedEventEmitter<IDGAFEvents> {
+  readonly telemetry: TelemetryRecorder;
+  readonly conversations: ConversationManager;
   private registry: ModelRegistry;
   private modelManager: ModelManager;
   private config: Required<AIConfig>;
   private hardware: HardwareInfo | null = null;
   private performanceMetrics: Map<string, PerformanceMetrics> = new Map();
+  private metrics = new MetricsCollector();
+  private plugins: Map<string, { plugin: AdapterPlugin; adapter: ModelAdapter }> = new Map();
+  private defaultModels: Map<InferenceTask, string> = new Map();
+  private fallbacks: Map<InferenceTask, string[]> = new Map();
+  private failedStreams = new WeakMap<Error, InferenceMetadata>();
+  private logger: Logger;
+  private residentModels: LRUCache;
+  private reservedBytes = 0;
+  private scheduler: InferenceScheduler;
+  private hardwareReady: Promise<void>;
+  private adapterInitializations: Promise<void>[] = [];
+  private activeDownloads: Set<AbortController> = new Set();
+  private lifecycle = new AbortController();
+  private activeStreams = new Set<AsyncGenerator<unknown, unknown>>();
+  private preloading: Promise<void> | null = null;
+  private preloaded = new Set<string>();
+  private preloadFailures = new Map<string, AIError>();
+  private disposed = false;
 
   constructor(config: AIConfig = {}) {
+    super();
+    validateConfig(config);
     this.config = {
       modelCachePath: config.modelCachePath || './models',
       maxCacheSize: config.maxCacheSize || 2 * 1024 * 1024 * 1024,
@@ -39,346 +114,1196 @@ export class IDGAF {
         preferGPU: config.hardware?.preferGPU ?? true,
         preferNPU: config.hardware?.preferNPU ?? true,
         maxMemoryMB: config.hardware?.maxMemoryMB
-      }
+      },
+      adapters: config.adapters || [],
+      autoRegisterAdapters: config.autoRegisterAdapters ?? true,
+      defaultModels: config.defaultModels || {},
+      logger: config.logger || new ConsoleLogger(config.logLevel || 'info'),
+      redactPrompts: config.redactPrompts ?? true,
+      telemetry: config.telemetry || {},
+      memoryPolicy: config.memoryPolicy || 'reject',
+      scheduler: config.scheduler || {},
+      preload: config.preload || [],
+      fallbacks: config.fallbacks || {},
+      timeouts: config.timeouts || {},
+      conversations: config.conversations || {},
+      contextWindow: config.contextWindow || {}
     };
 
+    this.logger = this.config.redactPrompts ? withRedaction(this.config.logger) : this.config.logger;
+
+    for (const [task, target] of Object.entries(this.config.defaultModels)) {
+      if (target) {
+        this.defaultModels.set(task as InferenceTask, target);
+      }
+    }
+
+    for (const [task, chain] of Object.entries(this.config.fallbacks)) {
+      if (chain && chain.length > 0) {
+        this.fallbacks.set(task as InferenceTask, chain);
+      }
+    }
+
     this.registry = new ModelRegistry();
+    this.residentModels = new LRUCache(
+      this.config.hardware.maxMemoryMB ?? Infinity,
+      model => this.releaseModel(model.id, model),
+      model => this.scheduler.getQueueStats(model.id).active === 0
+    );
     this.modelManager = new ModelManager(this.config.modelCachePath, this.config.maxCacheSize);
-    this.initializeHardware();
+    this.scheduler = new InferenceScheduler(this.config.scheduler);
+    this.telemetry = this.createTelemetryRecorder();
+    this.conversations = new ConversationManager(this.createConversationStore());
+    this.registerConfiguredAdapters();
+    this.hardwareReady = this.initializeHardware();
+  }
+
+  static async create<T extends IDGAF>(this: new (config?: any) => T, config: AIConfig = {}): Promise<T> {
+    const instance = new this(config);
+    await instance.ready();
+    return instance;
+  }
+
+  static async fromConfigFile<T extends IDGAF>(
+    this: new (config?: any) => T,
+    options: LoadConfigOptions = {},
+    overrides: AIConfig = {}
+  ): Promise<T> {
+    const instance = new this(mergeConfig(loadConfig(options), overrides));
+    await instance.ready();
+    return instance;
+  }
+
+  async ready(): Promise<void> {
+    await this.initialized();
+
+    if (!this.preloading) {
+      this.preloading = this.preloadModels().finally(() => {
+        this.preloading = null;
+      });
+    }
+    await this.preloading;
+
+    const [failure] = this.preloadFailures.values();
+    if (failure) throw failure;
+  }
+
+  getPreloadFailures(): Map<string, AIError> {
+    return new Map(this.preloadFailures);
+  }
+
+  private async initialized(): Promise<void> {
+    await Promise.all([this.hardwareReady, ...this.adapterInitializations]);
+  }
+
+  private async preloadModels(): Promise<void> {
+    for (const entry of this.config.preload) {
+      const { source, ...options } = typeof entry === 'string' ? { source: entry } : entry;
+      if (this.preloaded.has(source)) continue;
+
+      this.log('info', 'Preloading model', { source, alias: options.alias });
+      try {
+        await this.loadModel(source, options);
+        this.preloaded.add(source);
+        this.preloadFailures.delete(source);
+      } catch (error) {
+        const failure = AIError.from(error, cause => AIError.modelLoadFailed(source, cause));
+        this.log('error', 'Failed to preload model', { source, error: failure });
+        this.preloadFailures.set(source, failure);
+      }
+    }
+  }
+
+  get isDisposed(): boolean {
+    return this.disposed;
+  }
+
+  async dispose(): Promise<void> {
+    if (this.disposed) return;
+    this.disposed = true;
+    this.lifecycle.abort(new Error('instance disposed'));
+
+    for (const controller of this.activeDownloads) {
+      controller.abort();
+    }
+    this.activeDownloads.clear();
+
+    const cancellation = AIError.cancelled('dispose', this.lifecycle.signal.reason);
+    await Promise.allSettled(Array.from(this.activeStreams).map(stream => stream.throw(cancellation)));
+
+    await this.initialized();
+    await this.preloading;
+    await this.scheduler.drain();
+    await this.residentModels.clear();
+
+    for (const model of this.registry.getAllLoadedModels()) {
+      try {
+        await this.releaseModel(model.id, model);
+      } catch (error) {
+        this.log('warn', 'Error unloading model during dispose', { modelId: model.id, error });
+      }
+    }
+
+    for (const { adapter } of this.plugins.values()) {
+      try {
+        await adapter.dispose?.();
+      } catch (error) {
+        this.log('warn', 'Error disposing adapter', { format: adapter.format, error });
+      }
+    }
+
+    try {
+      await this.telemetry.close();
+    } catch (error) {
+      this.log('warn', 'Failed to flush telemetry', { error });
+    }
+
+    this.log('debug', 'IDGAF instance disposed');
+    this.removeAllListeners();
+  }
+
+  private assertNotDisposed(): void {
+    if (this.disposed) {
+      throw AIError.configurationError('instance', 'disposed', 'this IDGAF instance has been disposed');
+    }
+  }
+
+  private createTelemetryRecorder(): TelemetryRecorder {
+    const { telemetry, enableTelemetry, modelCachePath } = this.config;
+    const sink = enableTelemetry
+      ? telemetry.sink || new FileTelemetrySink(
+        telemetry.filePath || path.join(modelCachePath, 'telemetry.jsonl'),
+        telemetry.maxFileSize,
+        telemetry.maxFiles
+      )
+      : null;
+
+    return new TelemetryRecorder({
+      enabled: enableTelemetry,
+      sink,
+      bufferSize: telemetry.bufferSize,
+      maxBufferedRecords: telemetry.maxBufferedRecords,
+      flushIntervalMs: telemetry.flushIntervalMs,
+      logger: this.logger
+    });
+  }
+
+  private createConversationStore() {
+    const { store, directory } = this.config.conversations;
+    if (store) return store;
+    return directory ? new FileConversationStore(directory, { logger: this.logger }) : new InMemoryConversationStore();
+  }
+
+  private registerConfiguredAdapters(): void {
+    if (this.config.autoRegisterAdapters) {
+      for (const plugin of builtinPlugins) {
+        if (isPluginAvailable(plugin)) {
+          this.use(plugin);
+        } else {
+          this.log('debug', 'Skipping adapter with unresolved dependencies', {
+            adapter: plugin.name,
+            dependencies: plugin.dependencies
+          });
+        }
+      }
+    }
+
+    for (const plugin of this.config.adapters) {
+      this.use(plugin);
+    }
+  }
+
+  use(pluginOrAdapter: AdapterPlugin | ModelAdapter): this {
+    const plugin = isAdapterPlugin(pluginOrAdapter) ? pluginOrAdapter : adapterToPlugin(pluginOrAdapter);
+    const adapter = plugin.create({ logger: childLogger(this.logger, { adapter: plugin.name }) });
+
+    for (const [name, registered] of this.plugins) {
+      if (registered.adapter.format === adapter.format) {
+        this.plugins.delete(name);
+      }
+    }
+
+    this.registry.registerAdapter(adapter);
+    this.plugins.set(plugin.name, { plugin, adapter });
+    if (adapter.initialize) {
+      this.adapterInitializations.push(adapter.initialize().catch(error => {
+        this.log('warn', 'Adapter initialization failed', { adapter: plugin.name, error });
+      }));
+    }
+    this.log('debug', 'Registered adapter', { adapter: plugin.name, format: adapter.format });
+    return this;
+  }
+
+  getAdapters(): AdapterDescriptor[] {
+    return Array.from(this.plugins.values()).map(({ plugin, adapter }) => ({
+      name: plugin.name,
+      format: adapter.format,
+      supportedTypes: adapter.supportedTypes,
+      dependencies: plugin.dependencies || [],
+      available: isPluginAvailable(plugin),
+      capabilities: adapter.getCapabilities()
+    }));
   }
 
   private async initializeHardware(): Promise<void> {
     try {
       this.hardware = await HardwareDetection.detect();
-      this.log('info', `Detected hardware: ${JSON.stringify(this.hardware)}`);
+      this.telemetry.setHardware(this.hardware);
+      if (!this.config.hardware.maxMemoryMB) {
+        this.residentModels.resize(this.hardware.memoryMB);
+      }
+      this.log('info', 'Detected hardware', { hardware: this.hardware });
     } catch (error) {
-      this.log('warn', `Hardware detection failed: ${error}`);
+      this.log('warn', 'Hardware detection failed', { error });
     }
   }
 
   async loadModel(pathOrUrl: string, options: ModelOptions = {}): Promise<LoadedModel> {
+    this.assertNotDisposed();
+
     const startTime = Date.now();
-    this.log('info', `Loading model: ${pathOrUrl}`);
+    this.log('info', 'Loading model', { source: pathOrUrl });
+    this.emit('model:loading', { source: pathOrUrl, alias: options.alias });
+
+    if (options.alias && this.registry.resolveModel(options.alias)) {
+      throw AIError.configurationError('alias', options.alias, 'already assigned to a loaded model');
+    }
 
     try {
       let modelPath: string;
 
       if (pathOrUrl.startsWith('http://') || pathOrUrl.startsWith('https://')) {
         const modelInfo = await this.inferModelInfoFromUrl(pathOrUrl);
-        modelPath = await this.modelManager.downloadModel(pathOrUrl, modelInfo, {
-          onProgress: (progress, status) => {
-            this.log('info', `Download progress: ${progress.toFixed(1)}% - ${status}`);
-          }
-        });
+        const download = new AbortController();
+        const onAbort = () => download.abort(options.signal?.reason);
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+        if (options.signal?.aborted) onAbort();
+        this.activeDownloads.add(download);
+
+        try {
+          modelPath = await this.modelManager.downloadModel(pathOrUrl, modelInfo, {
+            onProgress: (progress, status) => {
+              this.log('info', 'Download progress', { url: pathOrUrl, progress: Number(progress.toFixed(1)), status });
+              this.emit('download:progress', { url: pathOrUrl, progress, status });
+            },
+            signal: download.signal
+          });
+        } finally {
+          options.signal?.removeEventListener('abort', onAbort);
+          this.activeDownloads.delete(download);
+        }
       } else {
         modelPath = pathOrUrl;
       }
 
       const modelInfo = await this.modelManager.getModelInfo(modelPath);
       if (!modelInfo) {
-        throw new Error(`Unable to determine model format for: ${modelPath}`);
+        throw AIError.unsupportedFormat(path.extname(modelPath) || modelPath, this.getSupportedFormats());
       }
 
+      await this.hardwareReady;
       const adapter = await this.registry.selectBestAdapter(modelPath, modelInfo, this.hardware || undefined);
       if (!adapter) {
-        throw new Error(`No compatible adapter found for model: ${modelInfo.format}`);
+        throw AIError.unsupportedFormat(modelInfo.format, this.getSupportedFormats());
       }
 
-      const model = await adapter.loadModel(modelPath, options);
-      this.registry.registerLoadedModel(model);
+      const requiredBytes = this.modelManager.estimateMemoryRequirement(modelInfo, options);
+      const releaseReservation = await this.admitModel(requiredBytes);
+      let model: LoadedModel;
+      try {
+        await adapter.initialize?.();
+        model = await adapter.loadModel(modelPath, options);
+        if (options.signal?.aborted || this.disposed) {
+          await adapter.unloadModel(model.id);
+          throwIfAborted(options.signal, 'loadModel');
+          this.assertNotDisposed();
+        }
+        if (options.alias) {
+          model.alias = options.alias;
+        }
+        try {
+          this.registry.registerLoadedModel(model);
+          await this.residentModels.set(model.id, model, requiredBytes);
+        } catch (error) {
+          if (this.registry.getLoadedModel(model.id) === model) {
+            await this.releaseModel(model.id, model);
+          } else {
+            await adapter.unloadModel(model.id);
+          }
+          throw error;
+        }
+      } finally {
+        releaseReservation();
+      }
+      if (options.pinned) {
+        this.residentModels.pin(model.id);
+      }
 
       const loadTime = Date.now() - startTime;
       const metrics: PerformanceMetrics = {
         modelLoadTimeMs: loadTime,
         inferenceTimeMs: 0,
-        memoryUsageMB: modelInfo.size / (1024 * 1024)
+        memoryUsageMB: requiredBytes / (1024 * 1024)
       };
       this.performanceMetrics.set(model.id, metrics);
 
-      this.log('info', `Model loaded successfully: ${model.id} (${loadTime}ms)`);
+      this.log('info', 'Model loaded', { modelId: model.id, alias: model.alias, loadTimeMs: loadTime });
+      this.emit('model:loaded', { model, loadTimeMs: loadTime });
       return model;
 
     } catch (error) {
-      this.log('error', `Failed to load model: ${error}`);
-      throw error;
+      const failure = AIError.from(error, cause => AIError.modelLoadFailed(pathOrUrl, cause));
+      this.log('error', 'Failed to load model', { source: pathOrUrl, error: failure });
+      this.emit('error', { error: failure, task: 'loadModel' });
+      throw failure;
     }
   }
 
-  async *generate(prompt: string, options: GenerateOptions = {}): AsyncGenerator<string> {
-    const models = this.getCompatibleModels('llm');
-    if (models.length === 0) {
-      throw new Error('No LLM models loaded');
+  generate(prompt: string, options: GenerateOptions & { logprobs: number }): AsyncGenerator<TokenChunk, InferenceMetadata>;
+  generate(prompt: string, options?: GenerateOptions): AsyncGenerator<string, InferenceMetadata>;
+  async *generate(prompt: string, options: GenerateOptions = {}): AsyncGenerator<string | TokenChunk, InferenceMetadata> {
+    validateSamplingOptions(options);
+    const model = this.selectModel('generate', 'llm', options.model);
+    if (!model.generate) {
+      throw AIError.capabilityNotSupported(model.id, 'text generation');
     }
 
-    const model = models[0];
-    if (!model.generate) {
-      throw new Error('Model does not support text generation');
+    return yield* this.stream('generate', model, options, 'Generation failed', (m, scoped) => m.generate!(prompt, scoped), prompt);
+  }
+
+  chat(
+    messages: ChatMessage[],
+    options: ChatOptions & { tools: ToolDefinition[]; logprobs: number }
+  ): AsyncGenerator<TokenChunk | ToolCallChunk, InferenceMetadata>;
+  chat(messages: ChatMessage[], options: ChatOptions & { logprobs: number }): AsyncGenerator<TokenChunk, InferenceMetadata>;
+  chat(messages: ChatMessage[], options: ChatOptions & { tools: ToolDefinition[] }): AsyncGenerator<string | ToolCallChunk, InferenceMetadata>;
+  chat(messages: ChatMessage[], options?: ChatOptions): AsyncGenerator<string, InferenceMetadata>;
+  async *chat(messages: ChatMessage[], options: ChatOptions = {}): AsyncGenerator<ChatChunk, InferenceMetadata> {
+    validateSamplingOptions(options);
+    const model = this.selectModel('chat', 'llm', options.model);
+    if (!model.chat) {
+      throw AIError.capabilityNotSupported(model.id, 'chat completion');
     }
 
-    const startTime = Date.now();
-    let tokenCount = 0;
+    const conversationId = options.conversationId;
+    const session = conversationId ? await this.conversations.lock(conversationId) : undefined;
 
     try {
-      for await (const token of model.generate(prompt, options)) {
-        tokenCount++;
-        yield token;
+      const turn = session
+        ? messages.map(message => ({ ...message, timestamp: message.timestamp || new Date() }))
+        : messages;
+      const history = [...(session?.conversation?.messages || []), ...turn];
+
+      let reply = '';
+      let toolCalls: ToolCall[] = [];
+      let context: ContextWindowReport | undefined;
+      const metadata = yield* this.stream('chat', model, options, 'Chat completion failed', (m, scoped) => {
+        reply = '';
+        toolCalls = [];
+        context = undefined;
+        const chunks = this.chatWithinContext(m, history, scoped, report => {
+          context = report;
+        });
+        return session ? tapStream(chunks, chunk => {
+          const text = textOf(chunk);
+          if (text !== undefined) {
+            reply += text;
+          } else {
+            toolCalls.push((chunk as ToolCallChunk).toolCall);
+          }
+        }) : chunks;
+      }, history);
+
+      if (session) {
+        await session.append([
+          ...turn,
+          {
+            role: 'assistant',
+            content: reply,
+            toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+            timestamp: new Date()
+          }
+        ]);
       }
+      return context ? { ...metadata, context } : metadata;
+    } finally {
+      session?.release();
+    }
+  }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime,
-        tokensPerSecond: tokenCount / (inferenceTime / 1000)
-      });
+  async generateText(prompt: string, options: GenerateOptions = {}): Promise<TextResult> {
+    return drainStream<string | TokenChunk, TextResult>(this.streamText(prompt, options));
+  }
 
-    } catch (error) {
-      this.log('error', `Generation failed: ${error}`);
-      throw error;
-    }
+  streamText(prompt: string, options: GenerateOptions & { logprobs: number }): AsyncGenerator<TokenChunk, TextResult>;
+  streamText(prompt: string, options?: GenerateOptions): AsyncGenerator<string, TextResult>;
+  async *streamText(prompt: string, options: GenerateOptions = {}): AsyncGenerator<string | TokenChunk, TextResult> {
+    return yield* this.collectText<string | TokenChunk>(this.generate(prompt, options));
   }
 
-  async *chat(messages: ChatMessage[], options: ChatOptions = {}): AsyncGenerator<string> {
-    const models = this.getCompatibleModels('llm');
-    if (models.length === 0) {
-      throw new Error('No LLM models loaded');
-    }
+  async chatText(messages: ChatMessage[], options: ChatOptions = {}): Promise<TextResult> {
+    return drainStream<ChatChunk, TextResult>(this.streamChatText(messages, options));
+  }
 
-    const model = models[0];
-    if (!model.chat) {
-      throw new Error('Model does not support chat completion');
-    }
+  streamChatText(
+    messages: ChatMessage[],
+    options: ChatOptions & { tools: ToolDefinition[]; logprobs: number }
+  ): AsyncGenerator<TokenChunk | ToolCallChunk, TextResult>;
+  streamChatText(messages: ChatMessage[], options: ChatOptions & { logprobs: number }): AsyncGenerator<TokenChunk, TextResult>;
+  streamChatText(messages: ChatMessage[], options: ChatOptions & { tools: ToolDefinition[] }): AsyncGenerator<string | ToolCallChunk, TextResult>;
+  streamChatText(messages: ChatMessage[], options?: ChatOptions): AsyncGenerator<string, TextResult>;
+  async *streamChatText(messages: ChatMessage[], options: ChatOptions = {}): AsyncGenerator<ChatChunk, TextResult> {
+    return yield* this.collectText<ChatChunk>(this.chat(messages, options));
+  }
 
-    const startTime = Date.now();
-    let tokenCount = 0;
+  async generateObject<T = unknown>(
+    input: string | ChatMessage[],
+    options: GenerateObjectOptions
+  ): Promise<GenerateObjectResult<T>> {
+    const { schema, maxRetries = 2, ...rest } = options;
+    const instruction = `Respond only with JSON that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+    const generateOptions = { ...rest, responseFormat: { type: 'json_schema' as const, schema } };
+
+    let prompt = typeof input === 'string' ? `${input}\n\n${instruction}\n` : '';
+    let messages: ChatMessage[] = typeof input === 'string' ? [] : [{ role: 'system', content: instruction }, ...input];
+    let errors: string[] = [];
+    let text = '';
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const stream = typeof input === 'string'
+        ? this.generate(prompt, generateOptions)
+        : this.chat(messages, generateOptions);
+
+      text = '';
+      let next: IteratorResult<string, InferenceMetadata>;
+      while (!(next = await stream.next()).done) {
+        text += next.value;
+      }
 
-    try {
-      for await (const token of model.chat(messages, options)) {
-        tokenCount++;
-        yield token;
+      const parsed = extractJson(text);
+      errors = parsed.error ? [parsed.error] : validateJsonSchema(parsed.value, schema);
+      if (errors.length === 0) {
+        return { object: parsed.value as T, text, attempts: attempt, metadata: next.value };
       }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime,
-        tokensPerSecond: tokenCount / (inferenceTime / 1000)
-      });
+      this.log('warn', 'Structured output did not match the schema', { attempt, errors, modelId: next.value.modelId });
 
-    } catch (error) {
-      this.log('error', `Chat completion failed: ${error}`);
-      throw error;
+      const feedback = `That response was invalid: ${errors.join('; ')}. Reply again with corrected JSON only.`;
+      if (typeof input === 'string') {
+        prompt = `${prompt}${text}\n\n${feedback}\n`;
+      } else {
+        messages = [...messages, { role: 'assistant', content: text }, { role: 'user', content: feedback }];
+      }
     }
+
+    throw AIError.schemaValidationFailed(errors, maxRetries + 1, text);
   }
 
   async classify(image: Tensor, options: ClassifyOptions = {}): Promise<ClassificationResult> {
-    const models = this.getCompatibleModels('vision');
-    if (models.length === 0) {
-      throw new Error('No vision models loaded');
-    }
-
-    const model = models[0];
+    const model = this.selectModel('classify', 'vision', options.model);
     if (!model.classify) {
-      throw new Error('Model does not support image classification');
+      throw AIError.capabilityNotSupported(model.id, 'image classification');
     }
 
-    const startTime = Date.now();
-
-    try {
-      const result = await model.classify(image, options);
+    return this.withMetadata(await this.execute('classify', model, options, 'Classification failed', (m, scoped) => m.classify!(image, scoped)));
+  }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
-      });
+  async detect(image: Tensor, options: any = {}): Promise<DetectionResult> {
+    const model = this.selectModel('detect', 'vision', options.model);
+    if (!model.detect) {
+      throw AIError.capabilityNotSupported(model.id, 'object detection');
+    }
 
-      return result;
+    return this.withMetadata(await this.execute('detect', model, options, 'Detection failed', (m, scoped) => m.detect!(image, scoped)));
+  }
 
-    } catch (error) {
-      this.log('error', `Classification failed: ${error}`);
-      throw error;
+  async segment(image: Tensor, options: any = {}): Promise<SegmentationResult> {
+    const model = this.selectModel('segment', 'vision', options.model);
+    if (!model.segment) {
+      throw AIError.capabilityNotSupported(model.id, 'image segmentation');
     }
+
+    return this.withMetadata(await this.execute('segment', model, options, 'Segmentation failed', (m, scoped) => m.segment!(image, scoped)));
   }
 
-  async detect(image: Tensor, options: any = {}): Promise<DetectionResult> {
-    const models = this.getCompatibleModels('vision');
-    if (models.length === 0) {
-      throw new Error('No vision models loaded');
+  async transcribe(audio: Tensor, options: TranscriptionOptions = {}): Promise<TranscriptionResult> {
+    const model = this.selectModel('transcribe', 'audio', options.model);
+    if (!model.transcribe) {
+      throw AIError.capabilityNotSupported(model.id, 'speech transcription');
     }
 
-    const model = models[0];
-    if (!model.detect) {
-      throw new Error('Model does not support object detection');
+    return this.withMetadata(await this.execute('transcribe', model, options, 'Transcription failed', (m, scoped) => m.transcribe!(audio, scoped)));
+  }
+
+  async synthesize(text: string, options: SynthesisOptions = {}): Promise<ArrayBuffer> {
+    const model = this.selectModel('synthesize', 'audio', options.model);
+    if (!model.synthesize) {
+      throw AIError.capabilityNotSupported(model.id, 'speech synthesis');
     }
 
-    const startTime = Date.now();
+    const { value } = await this.execute('synthesize', model, options, 'Synthesis failed', (m, scoped) => m.synthesize!(text, scoped), text);
+    return value;
+  }
 
-    try {
-      const result = await model.detect(image, options);
+  async embed(input: string | Tensor, options: EmbeddingOptions = {}): Promise<Float32Array> {
+    const model = this.selectModel('embed', 'embedding', options.model);
+    if (!model.embed) {
+      throw AIError.capabilityNotSupported(model.id, 'embedding generation');
+    }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
-      });
+    const text = typeof input === 'string' ? input : undefined;
+    const { value } = await this.execute('embed', model, options, 'Embedding generation failed', (m, scoped) => m.embed!(input, scoped), text);
+    return value;
+  }
 
-      return result;
+  async embedBatch(
+    inputs: Array<string | Tensor>,
+    options: EmbeddingOptions & BatchOptions = {}
+  ): Promise<BatchItemResult<Float32Array>[]> {
+    const model = this.selectModel('embed', 'embedding', options.model);
+    if (!model.embed) {
+      throw AIError.capabilityNotSupported(model.id, 'embedding generation');
+    }
 
-    } catch (error) {
-      this.log('error', `Detection failed: ${error}`);
-      throw error;
+    return this.executeBatch('embed', model, inputs, options, 'Batch embedding failed',
+      (m, input, scoped) => m.embed!(input, scoped));
+  }
+
+  async classifyBatch(
+    images: Tensor[],
+    options: ClassifyOptions & BatchOptions = {}
+  ): Promise<BatchItemResult<ClassificationResult>[]> {
+    const model = this.selectModel('classify', 'vision', options.model);
+    if (!model.classify) {
+      throw AIError.capabilityNotSupported(model.id, 'image classification');
     }
+
+    return this.executeBatch('classify', model, images, options, 'Batch classification failed',
+      (m, image, scoped) => m.classify!(image, scoped));
   }
 
-  async segment(image: Tensor, options: any = {}): Promise<SegmentationResult> {
-    const models = this.getCompatibleModels('vision');
-    if (models.length === 0) {
-      throw new Error('No vision models loaded');
+  async detectBatch(images: Tensor[], options: any = {}): Promise<BatchItemResult<DetectionResult>[]> {
+    const model = this.selectModel('detect', 'vision', options.model);
+    if (!model.detect) {
+      throw AIError.capabilityNotSupported(model.id, 'object detection');
     }
 
-    const model = models[0];
-    if (!model.segment) {
-      throw new Error('Model does not support image segmentation');
+    return this.executeBatch('detect', model, images, options, 'Batch detection failed',
+      (m, image, scoped) => m.detect!(image, scoped));
+  }
+
+  async run(input: any, options: any = {}): Promise<any> {
+    const model = this.selectModel('run', null, options.model);
+    if (!model.run) {
+      throw AIError.capabilityNotSupported(model.id, 'generic inference');
     }
 
-    const startTime = Date.now();
+    const { value } = await this.execute('run', model, options, 'Generic inference failed', (m, scoped) => m.run!(input, scoped));
+    return value;
+  }
 
-    try {
-      const result = await model.segment(image, options);
+  private async *stream<T extends ChatChunk, O extends InferenceOptions>(
+    task: InferenceTask,
+    primary: LoadedModel,
+    options: O,
+    failureMessage: string,
+    operation: (model: LoadedModel, options: O) => AsyncGenerator<T, GenerationInfo | void>,
+    input?: unknown
+  ): AsyncGenerator<T, InferenceMetadata> {
+    const { options: scoped, unlink } = this.scopeToLifecycle(options);
+    const candidates = this.getFallbackCandidates(task, primary, scoped);
+    const failedAttempts: FallbackAttempt[] = [];
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
-      });
+    try {
+      for (let index = 0; ; index++) {
+        const model = candidates[index];
+        let streamed = false;
+
+        try {
+          const iterator = this.streamOnce(
+            task, model, scoped, failureMessage, attempt => operation(model, attempt), input, candidates[index + 1]
+          );
+          this.activeStreams.add(iterator);
+          let finished = false;
+          try {
+            while (true) {
+              const next = await iterator.next();
+              if (next.done) {
+                finished = true;
+                return this.withFailedAttempts(next.value, failedAttempts);
+              }
+              streamed = true;
+              yield next.value;
+              throwIfAborted(scoped.signal, task);
+            }
+          } finally {
+            this.activeStreams.delete(iterator);
+            if (!finished) await iterator.return(undefined as never);
+          }
+        } catch (error) {
+          if (streamed) throw error;
+          this.prepareFallback(task, model, candidates[index + 1], error, failedAttempts);
+        }
+      }
+    } finally {
+      unlink();
+    }
+  }
 
-      return result;
+  private async execute<T, O extends InferenceOptions>(
+    task: InferenceTask,
+    primary: LoadedModel,
+    options: O,
+    failureMessage: string,
+    operation: (model: LoadedModel, options: O) => Promise<T>,
+    input?: unknown
+  ): Promise<InferenceOutcome<T>> {
+    const { options: scoped, unlink } = this.scopeToLifecycle(options);
+    const candidates = this.getFallbackCandidates(task, primary, scoped);
+    const failedAttempts: FallbackAttempt[] = [];
 
-    } catch (error) {
-      this.log('error', `Segmentation failed: ${error}`);
-      throw error;
+    try {
+      for (let index = 0; ; index++) {
+        const model = candidates[index];
+
+        try {
+          const outcome = await this.executeOnce(
+            task, model, scoped, failureMessage, attempt => operation(model, attempt), input, candidates[index + 1]
+          );
+          return { value: outcome.value, metadata: this.withFailedAttempts(outcome.metadata, failedAttempts) };
+        } catch (error) {
+          this.prepareFallback(task, model, candidates[index + 1], error, failedAttempts);
+        }
+      }
+    } finally {
+      unlink();
     }
   }
 
-  async transcribe(audio: Tensor, options: TranscriptionOptions = {}): Promise<TranscriptionResult> {
-    const models = this.getCompatibleModels('audio');
-    if (models.length === 0) {
-      throw new Error('No audio models loaded');
+  private scopeToLifecycle<O extends InferenceOptions>(options: O): { options: O; unlink(): void } {
+    const { signal, unlink } = linkAbortSignals(options.signal, this.lifecycle.signal);
+    return { options: { ...options, signal }, unlink };
+  }
+
+  private getFallbackCandidates(task: InferenceTask, primary: LoadedModel, options: InferenceOptions): LoadedModel[] {
+    const chain = options.fallbacks === false ? [] : options.fallbacks ?? this.fallbacks.get(task) ?? [];
+    const candidates = [primary];
+
+    for (const target of chain) {
+      const model = this.registry.resolveModel(target);
+      if (!model) {
+        this.log('debug', 'Skipping fallback model that is not loaded', { task, target });
+        continue;
+      }
+      if (candidates.includes(model) || typeof model[task] !== 'function') continue;
+      candidates.push(model);
     }
 
-    const model = models[0];
-    if (!model.transcribe) {
-      throw new Error('Model does not support speech transcription');
+    return candidates;
+  }
+
+  private prepareFallback(
+    task: InferenceTask,
+    model: LoadedModel,
+    next: LoadedModel | undefined,
+    error: unknown,
+    failedAttempts: FallbackAttempt[]
+  ): void {
+    if (!this.canFallBack(error, next)) {
+      throw error;
     }
 
-    const startTime = Date.now();
+    failedAttempts.push({
+      modelId: model.id,
+      alias: model.alias,
+      code: (error as AIError).code,
+      message: (error as Error).message
+    });
+    this.log('warn', 'Falling back to next model', { task, from: model.id, to: next!.id, error });
+    this.emit('fallback', { task, from: model.id, to: next!.id, error: error as Error, attempt: failedAttempts.length });
+    this.residentModels.touch(next!.id);
+  }
 
-    try {
-      const result = await model.transcribe(audio, options);
+  private canFallBack(error: unknown, next: LoadedModel | undefined): boolean {
+    return !!next && !AIError.isCancellation(error) && ErrorHandler.isRetryable(error as Error);
+  }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
-      });
+  private resolveTimeout(task: InferenceTask, options: InferenceOptions): number | undefined {
+    return options.timeoutMs ?? this.config.timeouts[task];
+  }
 
-      return result;
+  private async *collectText<T extends ChatChunk>(stream: AsyncGenerator<T, InferenceMetadata>): AsyncGenerator<T, TextResult> {
+    let text = '';
+    const toolCalls: ToolCall[] = [];
+    const logprobs: TokenChunk[] = [];
+    let finished = false;
 
+    try {
+      while (true) {
+        const next = await stream.next();
+        if (next.done) {
+          finished = true;
+          return this.toTextResult(text, toolCalls, logprobs, next.value);
+        }
+        const chunk: ChatChunk = next.value;
+        if (typeof chunk === 'string') {
+          text += chunk;
+        } else if (chunk.type === 'token') {
+          text += chunk.text;
+          logprobs.push(chunk);
+        } else {
+          toolCalls.push(chunk.toolCall);
+        }
+        yield next.value;
+      }
     } catch (error) {
-      this.log('error', `Transcription failed: ${error}`);
-      throw error;
+      finished = true;
+      const metadata = this.failedStreams.get(error as Error);
+      if (!metadata || (!text && toolCalls.length === 0)) throw error;
+      return { ...this.toTextResult(text, toolCalls, logprobs, metadata), error: error as Error };
+    } finally {
+      if (!finished) await stream.return(undefined as never);
     }
   }
 
-  async synthesize(text: string, options: SynthesisOptions = {}): Promise<ArrayBuffer> {
-    const models = this.getCompatibleModels('audio');
-    if (models.length === 0) {
-      throw new Error('No audio models loaded');
-    }
+  private toTextResult(text: string, toolCalls: ToolCall[], logprobs: TokenChunk[], metadata: InferenceMetadata): TextResult {
+    const usage = metadata.usage || { completionTokens: 0 };
+    const generationMs = metadata.durationMs - (metadata.timeToFirstTokenMs ?? 0);
+    const result: TextResult = {
+      text,
+      finishReason: metadata.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop'),
+      usage,
+      timings: {
+        durationMs: metadata.durationMs,
+        queueWaitMs: metadata.queueWaitMs,
+        timeToFirstTokenMs: metadata.timeToFirstTokenMs,
+        tokensPerSecond: generationMs > 0 ? usage.completionTokens / (generationMs / 1000) : undefined
+      },
+      modelId: metadata.modelId,
+      alias: metadata.alias,
+      requestId: metadata.requestId,
+      metadata
+    };
+    if (toolCalls.length > 0) result.toolCalls = toolCalls;
+    if (logprobs.length > 0) result.logprobs = logprobs;
+    if (metadata.stopSequence !== undefined) result.stopSequence = metadata.stopSequence;
+    if (metadata.seed !== undefined) result.seed = metadata.seed;
+    return result;
+  }
 
-    const model = models[0];
-    if (!model.synthesize) {
-      throw new Error('Model does not support speech synthesis');
-    }
+  private withFailedAttempts(metadata: InferenceMetadata, failedAttempts: FallbackAttempt[]): InferenceMetadata {
+    return failedAttempts.length > 0 ? { ...metadata, failedAttempts } : metadata;
+  }
+
+  private withMetadata<T extends object>(outcome: InferenceOutcome<T>): T {
+    return Object.assign(outcome.value, { metadata: outcome.metadata });
+  }
 
+  private async *streamOnce<T extends ChatChunk, O extends InferenceOptions>(
+    task: InferenceTask,
+    model: LoadedModel,
+    options: O,
+    failureMessage: string,
+    operation: (options: O) => AsyncGenerator<T, GenerationInfo | void>,
+    input?: unknown,
+    fallback?: LoadedModel
+  ): AsyncGenerator<T, InferenceMetadata> {
+    throwIfAborted(options.signal, task);
+
+    const requestId = this.createRequestId();
+    const logger = childLogger(this.logger, { modelId: model.id, requestId, task });
+    const slot = await this.acquireSlot(task, model, options, requestId, logger, fallback);
     const startTime = Date.now();
+    const promptTokens = this.countPromptTokens(model, input);
+    const interTokenLatencies: number[] = [];
+    let timeToFirstToken: number | undefined;
+    let lastTokenTime = startTime;
+    let tokenCount = 0;
+
+    logger.debug('Inference started', { input, queueWaitMs: slot.waitMs });
+    this.emit('inference:start', { requestId, task, modelId: model.id });
+
+    const deadline = linkDeadline(options.signal, this.resolveTimeout(task, options), task);
+    const attempt = { ...options, signal: deadline.signal };
+    let closing: Promise<unknown> | undefined;
 
     try {
-      const result = await model.synthesize(text, options);
+      const iterator = operation(attempt);
+      let next: IteratorResult<T, GenerationInfo | void> | undefined;
+      try {
+        while (!(next = await withAbortSignal(iterator.next(), attempt.signal, task)).done) {
+          const token = next.value;
+          throwIfAborted(attempt.signal, task);
+
+          const now = Date.now();
+          if (timeToFirstToken === undefined) {
+            timeToFirstToken = now - startTime;
+          } else {
+            interTokenLatencies.push(now - lastTokenTime);
+          }
+          lastTokenTime = now;
+
+          const text = textOf(token);
+          if (text !== undefined) {
+            this.emit('inference:token', { requestId, modelId: model.id, token: text, index: tokenCount });
+            tokenCount++;
+          } else {
+            const { toolCall } = token as ToolCallChunk;
+            logger.debug('Tool call requested', { tool: toolCall.name, toolCallId: toolCall.id });
+            this.emit('tool:call', { requestId, modelId: model.id, toolCall });
+          }
+          deadline.pause();
+          yield token;
+          deadline.restart();
+        }
+      } finally {
+        if (!next?.done && attempt.signal?.aborted) {
+          closing = iterator.return(undefined as never).catch(() => undefined);
+        } else if (!next?.done) {
+          await iterator.return(undefined as never);
+        }
+      }
+      throwIfAborted(attempt.signal, task);
+
+      const info = next.value || {};
+      const completionTokens = info.completionTokens ?? tokenCount;
 
       const inferenceTime = Date.now() - startTime;
       this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
+        inferenceTimeMs: inferenceTime,
+        tokensPerSecond: completionTokens / (inferenceTime / 1000),
+        queueWaitMs: slot.waitMs,
+        timeToFirstTokenMs: timeToFirstToken,
+        promptTokens,
+        completionTokens
       });
-
-      return result;
+      this.metrics.record(model.id, task, {
+        latencyMs: inferenceTime,
+        queueWaitMs: slot.waitMs,
+        timeToFirstTokenMs: timeToFirstToken,
+        interTokenLatenciesMs: interTokenLatencies,
+        promptTokens,
+        completionTokens
+      });
+      this.telemetry.record({
+        requestId,
+        task,
+        modelId: model.id,
+        latencyMs: inferenceTime,
+        queueWaitMs: slot.waitMs,
+        promptTokens,
+        completionTokens
+      });
+      this.emit('inference:end', { requestId, task, modelId: model.id, durationMs: inferenceTime, tokenCount: completionTokens });
+
+      const metadata: InferenceMetadata = {
+        requestId,
+        task,
+        modelId: model.id,
+        alias: model.alias,
+        durationMs: inferenceTime,
+        queueWaitMs: slot.waitMs,
+        usage: { promptTokens, completionTokens },
+        timeToFirstTokenMs: timeToFirstToken
+      };
+      if (info.finishReason) metadata.finishReason = info.finishReason;
+      if (info.stopSequence !== undefined) metadata.stopSequence = info.stopSequence;
+      if (info.seed !== undefined) metadata.seed = info.seed;
+      return metadata;
 
     } catch (error) {
-      this.log('error', `Synthesis failed: ${error}`);
-      throw error;
+      const failure = attempt.signal?.aborted
+        ? abortError(attempt.signal, task)
+        : AIError.from(error, cause => AIError.inferenceFailed(task, cause));
+      const latency = Date.now() - startTime;
+      const recovering = timeToFirstToken === undefined && this.canFallBack(failure, fallback);
+      logger[recovering ? 'warn' : 'error'](failureMessage, { error: failure });
+      this.metrics.record(model.id, task, {
+        latencyMs: latency,
+        queueWaitMs: slot.waitMs,
+        timeToFirstTokenMs: timeToFirstToken,
+        interTokenLatenciesMs: interTokenLatencies,
+        promptTokens,
+        completionTokens: tokenCount,
+        error: failure
+      });
+      this.telemetry.record({
+        requestId,
+        task,
+        modelId: model.id,
+        latencyMs: latency,
+        queueWaitMs: slot.waitMs,
+        promptTokens,
+        completionTokens: tokenCount,
+        error: failure
+      });
+      if (!recovering) {
+        this.emit('error', { error: failure, task, modelId: model.id, requestId });
+      }
+      this.failedStreams.set(failure, {
+        requestId,
+        task,
+        modelId: model.id,
+        alias: model.alias,
+        durationMs: latency,
+        queueWaitMs: slot.waitMs,
+        usage: { promptTokens, completionTokens: tokenCount },
+        timeToFirstTokenMs: timeToFirstToken,
+        finishReason: AIError.isCancellation(failure) ? 'cancelled' : 'error'
+      });
+      throw failure;
+    } finally {
+      deadline.clear();
+      if (closing) {
+        closing.then(slot.release);
+      } else {
+        slot.release();
+      }
     }
   }
 
-  async embed(input: string | Tensor, options: EmbeddingOptions = {}): Promise<Float32Array> {
-    const models = this.getCompatibleModels('embedding');
-    if (models.length === 0) {
-      throw new Error('No embedding models loaded');
-    }
+  private async executeOnce<T, O extends InferenceOptions>(
+    task: InferenceTask,
+    model: LoadedModel,
+    options: O,
+    failureMessage: string,
+    operation: (options: O) => Promise<T>,
+    input?: unknown,
+    fallback?: LoadedModel
+  ): Promise<InferenceOutcome<T>> {
+    const requestId = this.createRequestId();
+    const logger = childLogger(this.logger, { modelId: model.id, requestId, task });
+    const slot = await this.acquireSlot(task, model, options, requestId, logger, fallback);
+    const startTime = Date.now();
+    const promptTokens = this.countPromptTokens(model, input);
 
-    const model = models[0];
-    if (!model.embed) {
-      throw new Error('Model does not support embedding generation');
-    }
+    logger.debug('Inference started', { input, queueWaitMs: slot.waitMs });
+    this.emit('inference:start', { requestId, task, modelId: model.id });
 
-    const startTime = Date.now();
+    const deadline = linkDeadline(options.signal, this.resolveTimeout(task, options), task);
+    const attempt = { ...options, signal: deadline.signal };
+    const running = new Promise<T>(resolve => resolve(operation(attempt)));
+    running.then(slot.release, slot.release);
 
     try {
-      const result = await model.embed(input, options);
+      const value = await withAbortSignal(running, attempt.signal, task);
 
       const inferenceTime = Date.now() - startTime;
       this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
+        inferenceTimeMs: inferenceTime,
+        queueWaitMs: slot.waitMs
       });
-
-      return result;
+      this.metrics.record(model.id, task, {
+        latencyMs: inferenceTime,
+        queueWaitMs: slot.waitMs,
+        promptTokens
+      });
+      this.telemetry.record({
+        requestId,
+        task,
+        modelId: model.id,
+        latencyMs: inferenceTime,
+        queueWaitMs: slot.waitMs,
+        promptTokens
+      });
+      this.emit('inference:end', { requestId, task, modelId: model.id, durationMs: inferenceTime });
+
+      return {
+        value,
+        metadata: {
+          requestId,
+          task,
+          modelId: model.id,
+          alias: model.alias,
+          durationMs: inferenceTime,
+          queueWaitMs: slot.waitMs
+        }
+      };
 
     } catch (error) {
-      this.log('error', `Embedding generation failed: ${error}`);
-      throw error;
+      const failure = attempt.signal?.aborted
+        ? abortError(attempt.signal, task)
+        : AIError.from(error, cause => AIError.inferenceFailed(task, cause));
+      const latency = Date.now() - startTime;
+      const recovering = this.canFallBack(failure, fallback);
+      logger[recovering ? 'warn' : 'error'](failureMessage, { error: failure });
+      this.metrics.record(model.id, task, {
+        latencyMs: latency,
+        queueWaitMs: slot.waitMs,
+        promptTokens,
+        error: failure
+      });
+      this.telemetry.record({
+        requestId,
+        task,
+        modelId: model.id,
+        latencyMs: latency,
+        queueWaitMs: slot.waitMs,
+        promptTokens,
+        error: failure
+      });
+      if (!recovering) {
+        this.emit('error', { error: failure, task, modelId: model.id, requestId });
+      }
+      throw failure;
+    } finally {
+      deadline.clear();
     }
   }
 
-  async run(input: any, options: any = {}): Promise<any> {
-    const models = this.registry.getAllLoadedModels();
-    if (models.length === 0) {
-      throw new Error('No models loaded');
-    }
+  private async executeBatch<I, O, P extends InferenceOptions & BatchOptions>(
+    task: InferenceTask,
+    model: LoadedModel,
+    inputs: I[],
+    options: P,
+    failureMessage: string,
+    operation: (model: LoadedModel, input: I, options: P) => Promise<O>
+  ): Promise<BatchItemResult<O>[]> {
+    const batchSize = Math.max(1, options.batchSize ?? this.getPreferredBatchSize(model));
+    const results: BatchItemResult<O>[] = [];
+
+    for (let offset = 0; offset < inputs.length; offset += batchSize) {
+      throwIfAborted(options.signal, task);
+      const chunk = inputs.slice(offset, offset + batchSize);
+
+      try {
+        const { value: chunkResults } = await this.execute(task, model, options, failureMessage, async (target, scoped) => {
+          const settled: BatchItemResult<O>[] = [];
+          for (let i = 0; i < chunk.length; i++) {
+            const index = offset + i;
+            throwIfAborted(scoped.signal, task);
+            try {
+              settled.push({ index, status: 'fulfilled', value: await operation(target, chunk[i], scoped) });
+            } catch (error) {
+              if (scoped.signal?.aborted) throw abortError(scoped.signal, task);
+              if (AIError.isCancellation(error)) throw error;
+              const failure = AIError.from(error, cause => AIError.inferenceFailed(task, cause));
+              settled.push({ index, status: 'rejected', error: failure });
+            }
+          }
+          return settled;
+        });
+        results.push(...chunkResults);
+      } catch (error) {
+        if (AIError.isCancellation(error)) throw error;
+        const failure = AIError.from(error, cause => AIError.inferenceFailed(task, cause));
+        results.push(...chunk.map((_, i) => ({ index: offset + i, status: 'rejected' as const, error: failure })));
+      }
 
-    const model = models[0];
-    if (!model.run) {
-      throw new Error('Model does not support generic inference');
+      options.onProgress?.(results.length, inputs.length);
     }
 
-    const startTime = Date.now();
+    return results;
+  }
 
-    try {
-      const result = await model.run(input, options);
+  private getPreferredBatchSize(model: LoadedModel): number {
+    const preferred = model.adapter.getCapabilities().preferredBatchSize;
+    if (preferred) return preferred;
+    return this.hardware ? HardwareDetection.getOptimalSettings(this.hardware).batchSize : 1;
+  }
 
-      const inferenceTime = Date.now() - startTime;
-      this.updatePerformanceMetrics(model.id, {
-        inferenceTimeMs: inferenceTime
+  private async acquireSlot(
+    task: InferenceTask,
+    model: LoadedModel,
+    options: InferenceOptions,
+    requestId: string,
+    logger: Logger,
+    fallback?: LoadedModel
+  ): Promise<SchedulerSlot> {
+    try {
+      return await this.scheduler.acquire(model.id, {
+        priority: options.priority,
+        signal: options.signal,
+        alias: model.alias
       });
-
-      return result;
-
     } catch (error) {
-      this.log('error', `Generic inference failed: ${error}`);
+      logger.warn('Request was not scheduled', { error });
+      if (!this.canFallBack(error, fallback)) {
+        this.emit('error', { error: error as Error, task, modelId: model.id, requestId });
+      }
       throw error;
     }
   }
 
+  getQueueStats(modelIdOrAlias: string): { active: number; waiting: number } {
+    const model = this.registry.resolveModel(modelIdOrAlias);
+    return this.scheduler.getQueueStats(model?.id ?? modelIdOrAlias);
+  }
+
   getLoadedModels(): LoadedModel[] {
     return this.registry.getAllLoadedModels();
   }
 
-  async unloadModel(modelId: string): Promise<void> {
+  async unloadModel(modelIdOrAlias: string): Promise<void> {
+    const model = this.registry.resolveModel(modelIdOrAlias);
+    const modelId = model?.id ?? modelIdOrAlias;
+
+    if (this.residentModels.has(modelId)) {
+      await this.residentModels.delete(modelId);
+    } else {
+      await this.releaseModel(modelId, model);
+    }
+  }
+
+  pinModel(modelIdOrAlias: string): void {
+    const model = this.registry.resolveModel(modelIdOrAlias);
+    if (!model) {
+      throw AIError.modelNotFound(modelIdOrAlias);
+    }
+    this.residentModels.pin(model.id);
+  }
+
+  unpinModel(modelIdOrAlias: string): void {
+    const model = this.registry.resolveModel(modelIdOrAlias);
+    if (model) {
+      this.residentModels.unpin(model.id);
+    }
+  }
+
+  getMemoryUsage(): { usedBytes: number; limitBytes: number; availableBytes: number } {
+    return {
+      usedBytes: this.residentModels.usedSize,
+      limitBytes: this.residentModels.capacity,
+      availableBytes: this.residentModels.availableSize
+    };
+  }
+
+  private async admitModel(requiredBytes: number): Promise<() => void> {
+    const toMB = (bytes: number) => Math.round(bytes / (1024 * 1024));
+    const limit = this.residentModels.capacity;
+    const available = () => Math.max(0, this.residentModels.availableSize - this.reservedBytes);
+
+    if (requiredBytes > limit) {
+      throw AIError.memoryError(toMB(requiredBytes), toMB(limit));
+    }
+
+    if (available() < requiredBytes && this.config.memoryPolicy === 'evict-lru') {
+      this.log('info', 'Evicting least recently used models', { requiredMB: toMB(requiredBytes) });
+      await this.residentModels.ensureCapacity(requiredBytes + this.reservedBytes);
+    }
+
+    if (available() < requiredBytes) {
+      throw AIError.memoryError(toMB(requiredBytes), toMB(available()));
+    }
+
+    this.reservedBytes += requiredBytes;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.reservedBytes -= requiredBytes;
+    };
+  }
+
+  private async releaseModel(modelId: string, model?: LoadedModel): Promise<void> {
     await this.registry.unloadModel(modelId);
+    this.scheduler.remove(modelId);
     this.performanceMetrics.delete(modelId);
-    this.log('info', `Model unloaded: ${modelId}`);
+    this.metrics.reset(modelId);
+    this.log('info', 'Model unloaded', { modelId });
+    if (model) {
+      this.emit('model:unloaded', { modelId, alias: model.alias });
+    }
   }
 
   getPerformanceMetrics(modelId?: string): PerformanceMetrics | Map<string, PerformanceMetrics> {
@@ -391,10 +1316,115 @@ export class IDGAF {
     return this.performanceMetrics;
   }
 
+  getPerformanceReport(options: { reset?: boolean } = {}): PerformanceReport {
+    const aliases = new Map<string, string | undefined>();
+    for (const model of this.registry.getAllLoadedModels()) {
+      aliases.set(model.id, model.alias);
+    }
+
+    const report = this.metrics.getReport(aliases);
+    if (options.reset) {
+      this.metrics.reset();
+    }
+    return report;
+  }
+
+  resetPerformanceMetrics(modelId?: string): void {
+    this.metrics.reset(modelId);
+  }
+
+  getMetricsSnapshot(): MetricsSnapshot {
+    const models = this.registry.getAllLoadedModels().map(model => ({
+      modelId: model.id,
+      alias: model.alias,
+      format: model.info.format,
+      type: model.info.type,
+      sizeBytes: model.info.size,
+      pinned: this.residentModels.isPinned(model.id),
+      queue: this.scheduler.getQueueStats(model.id),
+      performance: this.performanceMetrics.get(model.id)
+    }));
+
+    let cache = { totalSize: 0, fileCount: 0 };
+    try {
+      cache = this.modelManager.getCacheStats();
+    } catch (error) {
+      this.log('warn', 'Failed to read model cache stats', { error });
+    }
+
+    return {
+      models,
+      report: this.getPerformanceReport(),
+      memory: {
+        loadedBytes: this.registry.getMemoryUsage(),
+        usedBytes: this.residentModels.usedSize,
+        limitBytes: this.residentModels.capacity
+      },
+      cache
+    };
+  }
+
+  exportMetrics(): string {
+    return renderOpenMetrics(this.getMetricsSnapshot());
+  }
+
   getHardwareInfo(): HardwareInfo | null {
     return this.hardware;
   }
 
+  setDefaultModel(task: InferenceTask, modelIdOrAlias: string | undefined): void {
+    if (modelIdOrAlias) {
+      this.defaultModels.set(task, modelIdOrAlias);
+    } else {
+      this.defaultModels.delete(task);
+    }
+  }
+
+  setFallbacks(task: InferenceTask, chain: string[] | undefined): void {
+    if (chain && chain.length > 0) {
+      this.fallbacks.set(task, [...chain]);
+    } else {
+      this.fallbacks.delete(task);
+    }
+  }
+
+  getModel(modelIdOrAlias: string): LoadedModel | undefined {
+    return this.registry.resolveModel(modelIdOrAlias);
+  }
+
+  private selectModel(
+    task: InferenceTask,
+    type: ModelInfo['type'] | null,
+    requested?: string
+  ): LoadedModel {
+    this.assertNotDisposed();
+
+    const target = requested ?? this.defaultModels.get(task);
+    if (target) {
+      const model = this.registry.resolveModel(target);
+      if (!model) {
+        throw AIError.modelNotFound(target);
+      }
+      this.residentModels.touch(model.id);
+      return model;
+    }
+
+    const models = type ? this.getCompatibleModels(type) : this.registry.getAllLoadedModels();
+    if (models.length === 0) {
+      throw AIError.noModelLoaded(task, type ?? undefined);
+    }
+    this.residentModels.touch(models[0].id);
+    return models[0];
+  }
+
+  private createRequestId(): string {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  private getSupportedFormats(): string[] {
+    return this.registry.getAllAdapters().map(adapter => adapter.format);
+  }
+
   private getCompatibleModels(type: ModelInfo['type']): LoadedModel[] {
     return this.registry.getAllLoadedModels()
       .filter(model => model.info.type === type);
@@ -409,6 +1439,61 @@ export class IDGAF {
     this.performanceMetrics.set(modelId, { ...existing, ...metrics });
   }
 
+  private async *chatWithinContext(
+    model: LoadedModel,
+    messages: ChatMessage[],
+    options: ChatOptions,
+    onFitted: (report: ContextWindowReport) => void
+  ): AsyncGenerator<ChatChunk, GenerationInfo | void> {
+    const contextLength = options.contextLength ?? model.info.metadata?.contextSize;
+    if (options.contextWindow === false || !contextLength) {
+      return yield* model.chat!(messages, options);
+    }
+
+    const settings = { ...this.config.contextWindow, ...options.contextWindow };
+    const fitted = await fitContextWindow(messages, {
+      ...settings,
+      contextLength,
+      reserveTokens: settings.reserveTokens ?? options.maxTokens ?? 512,
+      countTokens: text => model.countTokens ? model.countTokens(text) : Math.ceil(text.length / 4),
+      tools: options.tools,
+      summarize: async (turns, maxTokens) => {
+        const transcript = turns.map(turn => `${turn.role}: ${turn.content}`).join('\n');
+        let summary = '';
+        for await (const token of model.chat!([
+          { role: 'system', content: 'Summarize the conversation below in a few sentences. Keep names, facts and decisions.' },
+          { role: 'user', content: transcript }
+        ], { maxTokens, seed: options.seed, signal: options.signal })) {
+          if (typeof token === 'string') summary += token;
+        }
+        return summary;
+      }
+    });
+
+    if (fitted.report.dropped.length > 0) {
+      this.log('debug', 'Trimmed chat history to fit the context window', {
+        modelId: model.id,
+        strategy: fitted.report.strategy,
+        droppedMessages: fitted.report.dropped.length,
+        promptTokens: fitted.report.promptTokens
+      });
+    }
+    onFitted(fitted.report);
+    return yield* model.chat!(fitted.messages, options);
+  }
+
+  private countPromptTokens(model: LoadedModel, input: unknown): number | undefined {
+    if (!model.countTokens) return undefined;
+
+    if (typeof input === 'string') {
+      return model.countTokens(input);
+    }
+    if (Array.isArray(input)) {
+      return (input as ChatMessage[]).reduce((total, message) => total + model.countTokens!(message.content || ''), 0);
+    }
+    return undefined;
+  }
+
   private async inferModelInfoFromUrl(url: string): Promise<ModelInfo> {
     const filename = url.split('/').pop() || 'model';
     const extension = filename.split('.').pop()?.toLowerCase();
@@ -433,14 +1518,11 @@ export class IDGAF {
     };
   }
 
-  private log(level: string, message: string): void {
-    const levels = ['debug', 'info', 'warn', 'error'];
-    const configLevel = levels.indexOf(this.config.logLevel);
-    const messageLevel = levels.indexOf(level);
+  protected onListenerError(event: keyof IDGAFEvents, error: unknown): void {
+    this.log('warn', 'Event listener threw', { event, error });
+  }
 
-    if (messageLevel >= configLevel) {
-      const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] [${level.toUpperCase()}] ${message}`);
-    }
+  private log(level: LogLevel, message: string, fields?: LogFields): void {
+    this.logger[level](message, fields);
   }
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { AdapterPlugin, ModelAdapter } from '../types';
+import { GGUFAdapter } from './GGUFAdapter';
+import { TFLiteAdapter } from './TFLiteAdapter';
+
+export const ggufPlugin: AdapterPlugin = {
+  name: 'gguf',
+  dependencies: ['@node-llama-cpp/node-llama-cpp'],
+  create: ({ logger }) => new GGUFAdapter({ logger })
+};
+
+export const tflitePlugin: AdapterPlugin = {
+  name: 'tflite',
+  dependencies: ['@tensorflow/tfjs-tflite'],
+  create: ({ logger }) => new TFLiteAdapter({ logger })
+};
+
+export const builtinPlugins: readonly AdapterPlugin[] = [ggufPlugin, tflitePlugin];
+
+export function isAdapterPlugin(value: AdapterPlugin | ModelAdapter): value is AdapterPlugin {
+  return typeof (value as AdapterPlugin).create === 'function';
+}
+
+export function adapterToPlugin(adapter: ModelAdapter): AdapterPlugin {
+  return {
+    name: adapter.format,
+    create: () => adapter
+  };
+}
+
+export function isDependencyResolvable(moduleName: string): boolean {
+  if (typeof require === 'undefined' || typeof require.resolve !== 'function') {
+    return false;
+  }
+
+  try {
+    require.resolve(moduleName);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isPluginAvailable(plugin: AdapterPlugin): boolean {
+  return (plugin.dependencies || []).every(isDependencyResolvable);
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+import { ChatMessage } from '../types';
+import { CHAT_TEMPLATES, detectChatTemplate, renderChat } from './ChatTemplates';
+
+const history: ChatMessage[] = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello!' },
+  { role: 'user', content: 'How are you?' }
+];
+
+describe('ChatTemplates', () => {
+  describe('render', () => {
+    it('should render chatml', () => {
+      expect(CHAT_TEMPLATES.chatml.render(history)).toBe(
+        '<|im_start|>system\nYou are helpful.<|im_end|>\n' +
+        '<|im_start|>user\nHi<|im_end|>\n' +
+        '<|im_start|>assistant\nHello!<|im_end|>\n' +
+        '<|im_start|>user\nHow are you?<|im_end|>\n' +
+        '<|im_start|>assistant\n'
+      );
+    });
+
+    it('should render llama2', () => {
+      expect(CHAT_TEMPLATES.llama2.render(history)).toBe(
+        '<s>[INST] <<SYS>>\nYou are helpful.\n<</SYS>>\n\nHi [/INST] Hello! </s>' +
+        '<s>[INST] How are you? [/INST]'
+      );
+    });
+
+    it('should render llama3', () => {
+      expect(CHAT_TEMPLATES.llama3.render(history)).toBe(
+        '<|begin_of_text|>' +
+        '<|start_header_id|>system<|end_header_id|>\n\nYou are helpful.<|eot_id|>' +
+        '<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\nHello!<|eot_id|>' +
+        '<|start_header_id|>user<|end_header_id|>\n\nHow are you?<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\n'
+      );
+    });
+
+    it('should render mistral', () => {
+      expect(CHAT_TEMPLATES.mistral.render(history)).toBe(
+        '<s>[INST] You are helpful.\n\nHi [/INST]Hello!</s>[INST] How are you? [/INST]'
+      );
+    });
+
+    it('should render gemma', () => {
+      expect(CHAT_TEMPLATES.gemma.render(history)).toBe(
+        '<bos><start_of_turn>user\nYou are helpful.\n\nHi<end_of_turn>\n' +
+        '<start_of_turn>model\nHello!<end_of_turn>\n' +
+        '<start_of_turn>user\nHow are you?<end_of_turn>\n' +
+        '<start_of_turn>model\n'
+      );
+    });
+
+    it('should render phi3', () => {
+      expect(CHAT_TEMPLATES.phi3.render(history)).toBe(
+        '<|system|>\nYou are helpful.<|end|>\n' +
+        '<|user|>\nHi<|end|>\n' +
+        '<|assistant|>\nHello!<|end|>\n' +
+        '<|user|>\nHow are you?<|end|>\n' +
+        '<|assistant|>\n'
+      );
+    });
+  });
+
+  describe('renderChat', () => {
+    it('should render tools as tagged calls for templates without native tool support', () => {
+      const rendered = renderChat(CHAT_TEMPLATES.chatml, [{ role: 'user', content: 'Weather?' }], [{ name: 'get_weather' }]);
+
+      expect(rendered.toolCallStart).toBe('<tool_call>');
+      expect(rendered.prompt).toContain('<tools>');
+      expect(rendered.parseToolCalls!('<tool_call>\n{"name": "get_weather", "arguments": {"city": "Oslo"}}\n</tool_call>'))
+        .toEqual([expect.objectContaining({ name: 'get_weather', arguments: { city: 'Oslo' } })]);
+    });
+  });
+
+  describe('detectChatTemplate', () => {
+    it('should detect the template from tokenizer.chat_template', () => {
+      const detect = (chatTemplate: string) => detectChatTemplate({ chatTemplate }).name;
+
+      expect(detect("{% for m in messages %}<|im_start|>{{ m['role'] }}{% endfor %}")).toBe('chatml');
+      expect(detect('{{ bos_token }}<|start_header_id|>{{ role }}<|end_header_id|>')).toBe('llama3');
+      expect(detect('<start_of_turn>{{ role }}')).toBe('gemma');
+      expect(detect('<|user|>{{ content }}<|end|><|assistant|>')).toBe('phi3');
+      expect(detect('[INST] <<SYS>>{{ system }}<</SYS>>')).toBe('llama2');
+      expect(detect('{{ bos_token }}[INST] {{ content }} [/INST]')).toBe('mistral');
+    });
+
+    it('should prefer tokenizer.chat_template over the model name', () => {
+      expect(detectChatTemplate({ chatTemplate: '<|im_start|>', name: 'Meta-Llama-3-8B-Instruct' }).name).toBe('chatml');
+    });
+
+    it('should fall back to the architecture', () => {
+      expect(detectChatTemplate({ architecture: 'gemma2' }).name).toBe('gemma');
+      expect(detectChatTemplate({ architecture: 'phi3' }).name).toBe('phi3');
+    });
+
+    it('should fall back to the model name', () => {
+      expect(detectChatTemplate({ name: 'Meta-Llama-3-8B-Instruct' }).name).toBe('llama3');
+      expect(detectChatTemplate({ name: 'llama-2-7b-chat' }).name).toBe('llama2');
+      expect(detectChatTemplate({ name: 'Mistral-7B-Instruct-v0.3' }).name).toBe('mistral');
+      expect(detectChatTemplate({ name: 'gemma-2b-it' }).name).toBe('gemma');
+      expect(detectChatTemplate({ name: 'Phi-3-mini-4k-instruct' }).name).toBe('phi3');
+    });
+
+    it('should default to chatml', () => {
+      expect(detectChatTemplate({ name: 'qwen2-7b' }).name).toBe('chatml');
+      expect(detectChatTemplate({}).name).toBe('chatml');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,378 @@
+import {
+  ChatChunk,
+  ChatMessage,
+  ChatTemplate,
+  ChatTemplateName,
+  GenerationInfo,
+  ToolCall,
+  ToolDefinition
+} from '../types';
+import { AIError } from '../utils/ErrorHandler';
+import { StopSequenceMatcher } from '../utils/StreamingUtils';
+
+const TOOL_CALL_OPEN = '<tool_call>';
+
+const TAGGED_TOOL_PROMPT = 'You may call one or more functions to assist with the user query. ' +
+  'Function signatures are provided within <tools></tools> XML tags. ' +
+  'For each function call, return a JSON object with the function name and arguments within <tool_call></tool_call> XML tags:\n' +
+  '<tool_call>\n{"name": <function-name>, "arguments": <args-dict>}\n</tool_call>';
+
+const JSON_TOOL_PROMPT = 'You have access to the following functions. To call a function, respond only with a JSON object ' +
+  'of the form {"name": function name, "parameters": dictionary of argument name and its value}.';
+
+export interface ChatTemplateHints {
+  chatTemplate?: string;
+  architecture?: string;
+  name?: string;
+}
+
+function splitSystem(messages: ChatMessage[]): { system?: string; turns: ChatMessage[] } {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content);
+  return {
+    system: system.length > 0 ? system.join('\n\n') : undefined,
+    turns: messages.filter(message => message.role !== 'system')
+  };
+}
+
+function mergeSystemIntoFirstUser(messages: ChatMessage[]): ChatMessage[] {
+  const { system, turns } = splitSystem(messages);
+  if (!system) return turns;
+
+  const index = turns.findIndex(message => message.role === 'user');
+  if (index === -1) return [{ role: 'user', content: system }, ...turns];
+
+  return turns.map((message, i) => i === index ? { ...message, content: `${system}\n\n${message.content}` } : message);
+}
+
+const chatml: ChatTemplate = {
+  name: 'chatml',
+  stopSequences: ['<|im_end|>'],
+  render: messages => messages
+    .map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>\n`)
+    .join('') + '<|im_start|>assistant\n'
+};
+
+const llama2: ChatTemplate = {
+  name: 'llama2',
+  stopSequences: ['</s>'],
+  render: messages => {
+    const { system, turns } = splitSystem(messages);
+    let prompt = '';
+    let pendingSystem = system;
+
+    for (const message of turns) {
+      if (message.role === 'assistant') {
+        prompt += ` ${message.content.trim()} </s>`;
+        continue;
+      }
+
+      const content = pendingSystem ? `<<SYS>>\n${pendingSystem}\n<</SYS>>\n\n${message.content}` : message.content;
+      pendingSystem = undefined;
+      prompt += `<s>[INST] ${content.trim()} [/INST]`;
+    }
+
+    return prompt;
+  }
+};
+
+const llama3: ChatTemplate = {
+  name: 'llama3',
+  stopSequences: ['<|eot_id|>', '<|eom_id|>', '<|end_of_text|>'],
+  toolCallStart: '{"name"',
+  render: (messages, tools = []) => {
+    const { system, turns } = splitSystem(messages);
+    const toolPrompt = tools.length > 0
+      ? `${JSON_TOOL_PROMPT}\n\n${tools.map(tool => JSON.stringify(toFunctionSpec(tool))).join('\n\n')}`
+      : undefined;
+    const systemContent = [system, toolPrompt].filter(Boolean).join('\n\n');
+
+    const header = (role: string, content: string) =>
+      `<|start_header_id|>${role}<|end_header_id|>\n\n${content.trim()}<|eot_id|>`;
+
+    let prompt = '<|begin_of_text|>';
+    if (systemContent) prompt += header('system', systemContent);
+
+    for (const message of turns) {
+      if (message.role === 'tool') {
+        prompt += header('ipython', message.content);
+      } else if (message.toolCalls?.length) {
+        prompt += header('assistant', message.toolCalls
+          .map(call => JSON.stringify({ name: call.name, parameters: call.arguments }))
+          .join('\n'));
+      } else {
+        prompt += header(message.role, message.content);
+      }
+    }
+
+    return prompt + '<|start_header_id|>assistant<|end_header_id|>\n\n';
+  },
+  parseToolCalls: text => parseJsonToolCalls(text)
+};
+
+const mistral: ChatTemplate = {
+  name: 'mistral',
+  stopSequences: ['</s>'],
+  toolCallStart: '[TOOL_CALLS]',
+  render: (messages, tools = []) => {
+    const turns = mergeSystemIntoFirstUser(messages);
+    const lastUser = turns.map(message => message.role).lastIndexOf('user');
+    let prompt = '<s>';
+
+    turns.forEach((message, index) => {
+      if (message.role === 'user') {
+        if (index === lastUser && tools.length > 0) {
+          prompt += `[AVAILABLE_TOOLS] ${JSON.stringify(tools.map(toFunctionSpec))}[/AVAILABLE_TOOLS]`;
+        }
+        prompt += `[INST] ${message.content} [/INST]`;
+      } else if (message.role === 'tool') {
+        prompt += `[TOOL_RESULTS] ${JSON.stringify({ content: message.content, call_id: message.toolCallId })}[/TOOL_RESULTS]`;
+      } else if (message.toolCalls?.length) {
+        const calls = message.toolCalls.map(call => ({ name: call.name, arguments: call.arguments, id: call.id }));
+        prompt += `[TOOL_CALLS] ${JSON.stringify(calls)}</s>`;
+      } else {
+        prompt += `${message.content}</s>`;
+      }
+    });
+
+    return prompt;
+  },
+  parseToolCalls: text => parseJsonToolCalls(text.replace('[TOOL_CALLS]', ''))
+};
+
+const gemma: ChatTemplate = {
+  name: 'gemma',
+  stopSequences: ['<end_of_turn>'],
+  render: messages => '<bos>' + mergeSystemIntoFirstUser(messages)
+    .map(message => `<start_of_turn>${message.role === 'assistant' ? 'model' : 'user'}\n${message.content.trim()}<end_of_turn>\n`)
+    .join('') + '<start_of_turn>model\n'
+};
+
+const phi3: ChatTemplate = {
+  name: 'phi3',
+  stopSequences: ['<|end|>', '<|endoftext|>'],
+  render: messages => messages
+    .map(message => `<|${message.role}|>\n${message.content}<|end|>\n`)
+    .join('') + '<|assistant|>\n'
+};
+
+export const CHAT_TEMPLATES: Record<ChatTemplateName, ChatTemplate> = {
+  chatml,
+  llama2,
+  llama3,
+  mistral,
+  gemma,
+  phi3
+};
+
+export const CHAT_TEMPLATE_NAMES = Object.keys(CHAT_TEMPLATES) as ChatTemplateName[];
+
+export function detectChatTemplate(hints: ChatTemplateHints): ChatTemplate {
+  const source = hints.chatTemplate;
+  if (source) {
+    if (source.includes('<|im_start|>')) return chatml;
+    if (source.includes('<|start_header_id|>')) return llama3;
+    if (source.includes('<start_of_turn>')) return gemma;
+    if (source.includes('<|assistant|>') && source.includes('<|end|>')) return phi3;
+    if (source.includes('<<SYS>>')) return llama2;
+    if (source.includes('[INST]')) return mistral;
+  }
+
+  const architecture = (hints.architecture || '').toLowerCase();
+  const name = (hints.name || '').toLowerCase();
+
+  if (architecture.startsWith('gemma') || name.includes('gemma')) return gemma;
+  if (architecture === 'phi3' || /phi-?3/.test(name)) return phi3;
+  if (name.includes('mistral') || name.includes('mixtral')) return mistral;
+  if (/llama-?3/.test(name)) return llama3;
+  if (/llama-?2/.test(name)) return llama2;
+
+  return chatml;
+}
+
+export interface RenderedChat {
+  prompt: string;
+  toolCallStart?: string;
+  parseToolCalls?(text: string): ToolCall[];
+}
+
+export function renderChat(template: ChatTemplate, messages: ChatMessage[], tools: ToolDefinition[] = []): RenderedChat {
+  const usesTools = tools.length > 0 || messages.some(message => message.role === 'tool' || message.toolCalls?.length);
+  if (!usesTools) {
+    return { prompt: template.render(messages) };
+  }
+
+  if (template.toolCallStart && template.parseToolCalls) {
+    return {
+      prompt: template.render(messages, tools),
+      toolCallStart: template.toolCallStart,
+      parseToolCalls: text => template.parseToolCalls!(text)
+    };
+  }
+
+  return {
+    prompt: template.render(toTaggedToolMessages(messages, tools)),
+    toolCallStart: TOOL_CALL_OPEN,
+    parseToolCalls: parseTaggedToolCalls
+  };
+}
+
+export async function* splitToolCalls(
+  tokens: AsyncGenerator<string, GenerationInfo>,
+  start: string,
+  parse: (text: string) => ToolCall[]
+): AsyncGenerator<ChatChunk, GenerationInfo> {
+  const matcher = new StopSequenceMatcher([start]);
+  let captured: string | null = null;
+  let info: GenerationInfo | undefined;
+
+  try {
+    while (true) {
+      const next = await tokens.next();
+      if (next.done) {
+        info = next.value;
+        break;
+      }
+
+      if (captured !== null) {
+        captured += next.value;
+        continue;
+      }
+
+      const match = matcher.push(next.value);
+      if (match.text) yield match.text;
+      if (match.stopSequence !== undefined) {
+        captured = start + match.trailing;
+      }
+    }
+  } finally {
+    if (!info) await tokens.return(undefined as never);
+  }
+
+  if (captured === null) {
+    const rest = matcher.flush();
+    if (rest.text) yield rest.text;
+    if (rest.stopSequence === undefined) return info;
+    captured = start + rest.trailing;
+  }
+
+  const calls = parse(captured);
+  if (calls.length === 0) {
+    yield captured;
+    return info;
+  }
+
+  for (const toolCall of calls) {
+    yield { type: 'tool_call', toolCall };
+  }
+  return { ...info, finishReason: 'tool_calls' };
+}
+
+function toFunctionSpec(tool: ToolDefinition) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }
+  };
+}
+
+export function renderToolSpecs(tools: ToolDefinition[]): string {
+  return tools.length > 0
+    ? `${TAGGED_TOOL_PROMPT}\n<tools>\n${tools.map(tool => JSON.stringify(toFunctionSpec(tool))).join('\n')}\n</tools>`
+    : '';
+}
+
+function toTaggedToolMessages(messages: ChatMessage[], tools: ToolDefinition[]): ChatMessage[] {
+  const { system, turns } = splitSystem(messages);
+  const toolPrompt = renderToolSpecs(tools);
+  const systemContent = [system, toolPrompt].filter(Boolean).join('\n\n');
+  const result: ChatMessage[] = systemContent ? [{ role: 'system', content: systemContent }] : [];
+
+  for (const message of turns) {
+    if (message.role === 'tool') {
+      const response = `<tool_response>\n${message.content}\n</tool_response>`;
+      const previous = result[result.length - 1];
+      if (previous?.role === 'user' && previous.content.startsWith('<tool_response>')) {
+        result[result.length - 1] = { ...previous, content: `${previous.content}\n${response}` };
+      } else {
+        result.push({ role: 'user', content: response });
+      }
+    } else if (message.toolCalls?.length) {
+      const calls = message.toolCalls.map(call =>
+        `${TOOL_CALL_OPEN}\n${JSON.stringify({ name: call.name, arguments: call.arguments })}\n</tool_call>`);
+      result.push({ role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n') });
+    } else {
+      result.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return result;
+}
+
+function parseTaggedToolCalls(text: string): ToolCall[] {
+  const calls: ToolCall[] = [];
+  const pattern = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/g;
+
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    calls.push(...parseJsonToolCalls(match[1]));
+  }
+  return calls;
+}
+
+function parseJsonToolCalls(text: string): ToolCall[] {
+  const trimmed = text.trim();
+  let values: any[];
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    values = Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    values = [];
+    for (const line of trimmed.split(/\n|;/)) {
+      try {
+        values.push(JSON.parse(line));
+      } catch {
+        // Not a complete call
+      }
+    }
+  }
+
+  return values
+    .filter(value => value && typeof value.name === 'string')
+    .map(value => ({
+      id: typeof value.id === 'string' ? value.id : createToolCallId(),
+      name: value.name,
+      arguments: parseArguments(value.arguments ?? value.parameters)
+    }));
+}
+
+function parseArguments(value: unknown): Record<string, any> {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return value && typeof value === 'object' ? value as Record<string, any> : {};
+}
+
+function createToolCallId(): string {
+  return Math.random().toString(36).substr(2, 9).padEnd(9, '0');
+}
+
+export function resolveChatTemplate(
+  template: ChatTemplateName | ChatTemplate | undefined,
+  hints: ChatTemplateHints = {}
+): ChatTemplate {
+  if (!template) return detectChatTemplate(hints);
+  if (typeof template !== 'string') return template;
+
+  const builtin = CHAT_TEMPLATES[template];
+  if (!builtin) {
+    throw AIError.configurationError('chatTemplate', template, `expected one of ${CHAT_TEMPLATE_NAMES.join(', ')}`);
+  }
+  return builtin;
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+import { ChatChunk, GenerationInfo, LoadedModel, TokenChunk } from '../types';
+import { ErrorCode } from '../utils/ErrorHandler';
+import { GGUFAdapter } from './GGUFAdapter';
+
+type ScriptedToken = string | { text: string; token: number; probabilities: Map<number, number> };
+
+let script: ScriptedToken[] | ((options: any) => ScriptedToken[]) = [];
+let prompts: any[] = [];
+
+jest.mock('@node-llama-cpp/node-llama-cpp', () => ({
+  LlamaModel: class {
+    vocabSize = 32000;
+    fileInfo = { metadata: { general: { architecture: 'qwen2', name: 'test' } } };
+    tokenize(text: string) {
+      return Array.from(text, character => character.charCodeAt(0));
+    }
+    detokenize(tokens: number[]) {
+      return String.fromCharCode(...tokens);
+    }
+  },
+  LlamaContext: class {
+    temperature = 0.7;
+    topP = 0.9;
+    topK = 40;
+  },
+  LlamaChat: class {
+    prompt(_prompt: string, options: any) {
+      prompts.push(options);
+      const tokens = typeof script === 'function' ? script(options) : script;
+      return (async function* () {
+        for (const token of tokens) yield typeof token === 'string' ? { text: token } : token;
+      })();
+    }
+  }
+}), { virtual: true });
+
+async function collect<T>(stream: AsyncGenerator<T, GenerationInfo | void>): Promise<{ chunks: T[]; info: GenerationInfo }> {
+  const chunks: T[] = [];
+  let next: IteratorResult<T, GenerationInfo | void>;
+  while (!(next = await stream.next()).done) chunks.push(next.value);
+  return { chunks, info: next.value || {} };
+}
+
+function scored(text: string, probabilities: Array<[number, number]> = [[text.charCodeAt(0), 0.5]]) {
+  return { text, token: probabilities[0][0], probabilities: new Map(probabilities) };
+}
+
+describe('GGUFAdapter', () => {
+  let model: LoadedModel;
+
+  beforeAll(async () => {
+    model = await new GGUFAdapter().loadModel('/models/test.gguf');
+  });
+
+  describe('generate', () => {
+    it('should report generated tokens, not emitted chunks, when stop matching merges text', async () => {
+      script = ['Hel', 'lo', ' <', 'x', '>', ' world', '</s>'];
+      const { chunks, info } = await collect(model.generate!('Hi', { stopSequences: ['<END>', '</s>'] }));
+
+      expect(chunks.join('')).toBe('Hello <x> world');
+      expect(chunks).toHaveLength(6);
+      expect(info).toMatchObject({ finishReason: 'stop', stopSequence: '</s>', completionTokens: 7 });
+    });
+
+    it('should report length when maxTokens runs out', async () => {
+      script = ['a', 'b', 'c', 'd'];
+      const { chunks, info } = await collect(model.generate!('Hi', { maxTokens: 3 }));
+
+      expect(chunks.join('')).toBe('abc');
+      expect(info).toMatchObject({ finishReason: 'length', completionTokens: 3 });
+    });
+
+    it('should trim the last logprob entry to the text left after a stop sequence', async () => {
+      script = [scored('Hel'), scored('lo!</'), scored('s>')];
+      const { chunks, info } = await collect(model.generate!('Hi', { stopSequences: ['</s>'], logprobs: 1 }));
+
+      expect(chunks).toEqual([
+        expect.objectContaining({ type: 'token', text: 'Hel', tokenId: 'H'.charCodeAt(0) }),
+        expect.objectContaining({ type: 'token', text: 'lo!', tokenId: 'l'.charCodeAt(0) })
+      ]);
+      expect(info).toMatchObject({ finishReason: 'stop', stopSequence: '</s>' });
+    });
+
+    it('should drop logprob entries for tokens that only formed the stop sequence', async () => {
+      script = [scored('Hel'), scored('lo'), scored('</'), scored('s>')];
+      const { chunks } = await collect(model.generate!('Hi', { stopSequences: ['</s>'], logprobs: 1 }));
+
+      expect(chunks.map(chunk => (chunk as { text: string }).text)).toEqual(['Hel', 'lo']);
+    });
+  });
+
+  describe('sampling', () => {
+    beforeEach(() => {
+      prompts = [];
+    });
+
+    it('should pass the seed to the sampler and report it', async () => {
+      script = ['a'];
+      const { info } = await collect(model.generate!('Hi', { seed: 42 }));
+
+      expect(prompts[0].seed).toBe(42);
+      expect(info.seed).toBe(42);
+    });
+
+    it('should report the random seed it picked when none is given', async () => {
+      script = ['a'];
+      const { info } = await collect(model.generate!('Hi'));
+
+      expect(typeof info.seed).toBe('number');
+      expect(info.seed).toBe(prompts[0].seed);
+    });
+
+    it('should reproduce the same output for the same seed', async () => {
+      script = options => Array.from(String(options.seed * 7919), digit => `t${digit}`);
+      const first = await collect(model.generate!('Hi', { seed: 3 }));
+      const second = await collect(model.generate!('Hi', { seed: 3 }));
+      const other = await collect(model.generate!('Hi', { seed: 4 }));
+
+      expect(second.chunks).toEqual(first.chunks);
+      expect(other.chunks).not.toEqual(first.chunks);
+    });
+
+    it('should send temperature 0 to the sampler instead of the context default', async () => {
+      script = ['a'];
+      await collect(model.generate!('Hi', { temperature: 0 }));
+
+      expect(prompts[0].temperature).toBe(0);
+    });
+
+    it('should force greedy sampling when greedy is set', async () => {
+      script = ['a'];
+      await collect(model.chat!([{ role: 'user', content: 'Hi' }], { greedy: true, temperature: 1.2, topK: 50, minP: 0.1 }));
+
+      expect(prompts[0]).toMatchObject({ temperature: 0, topK: 1, topP: 1, minP: undefined });
+    });
+  });
+
+  describe('chat', () => {
+    it('should count tokens that were turned into tool calls', async () => {
+      script = ['Sure', '<tool_call>', '{"name": "f", "arguments": {}}', '</tool_call>'];
+      const { chunks, info } = await collect<ChatChunk>(model.chat!(
+        [{ role: 'user', content: 'Call f' }],
+        { tools: [{ name: 'f' }] }
+      ));
+
+      expect(chunks).toEqual(['Sure', { type: 'tool_call', toolCall: expect.objectContaining({ name: 'f' }) }]);
+      expect(info).toMatchObject({ finishReason: 'tool_calls', completionTokens: 4 });
+    });
+  });
+
+  describe('logprobs', () => {
+    it('should record the chosen token and its top alternatives ranked by probability', async () => {
+      script = [scored('a', [[97, 0.5], [98, 0.1], [99, 0.4]])];
+      const { chunks } = await collect(model.generate!('Hi', { logprobs: 2 }));
+
+      expect(chunks).toEqual([{
+        type: 'token',
+        text: 'a',
+        tokenId: 97,
+        logprob: Math.log(0.5),
+        topLogprobs: [
+          { text: 'a', tokenId: 97, logprob: Math.log(0.5) },
+          { text: 'c', tokenId: 99, logprob: Math.log(0.4) }
+        ]
+      }]);
+    });
+
+    it('should emit one entry per token when several tokens arrive in one chunk', async () => {
+      script = [scored('<'), scored('x'), scored('>'), scored('!')];
+      const { chunks } = await collect(model.generate!('Hi', { stopSequences: ['<END>'], logprobs: 1 }));
+
+      expect((chunks as TokenChunk[]).map(chunk => chunk.text)).toEqual(['<', 'x', '>', '!']);
+    });
+
+    it('should keep text before a tool call aligned and pass the tool call through', async () => {
+      script = [scored('Sure'), scored('<tool_call>'), scored('{"name": "f", "arguments": {}}'), scored('</tool_call>')];
+      const { chunks, info } = await collect<ChatChunk>(model.chat!(
+        [{ role: 'user', content: 'Call f' }],
+        { tools: [{ name: 'f' }], logprobs: 1 }
+      ));
+
+      expect(chunks).toEqual([
+        expect.objectContaining({ type: 'token', text: 'Sure', tokenId: 'S'.charCodeAt(0) }),
+        { type: 'tool_call', toolCall: expect.objectContaining({ name: 'f' }) }
+      ]);
+      expect(info).toMatchObject({ finishReason: 'tool_calls', completionTokens: 4 });
+    });
+
+    it('should reject models that do not expose token probabilities', async () => {
+      script = ['a'];
+
+      await expect(collect(model.generate!('Hi', { logprobs: 1 }))).rejects.toMatchObject({
+        code: ErrorCode.CAPABILITY_NOT_SUPPORTED
+      });
+    });
+  });
+});
\ No newline at end of file
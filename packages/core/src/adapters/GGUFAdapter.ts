@@ -7,14 +7,30 @@ import {
   ChatMessage,
   ChatOptions,
   AdapterCapabilities,
-  EmbeddingOptions
+  EmbeddingOptions,
+  ChatTemplate,
+  GenerationInfo,
+  ResponseFormat,
+  ChatChunk,
+  TokenChunk,
+  TokenLogprob
 } from '../types';
+import { Logger, ConsoleLogger } from '../utils/Logger';
+import { AIError } from '../utils/ErrorHandler';
+import { StopSequenceMatcher, throwIfAborted } from '../utils/StreamingUtils';
+import { jsonSchemaToGrammar } from '../utils/JsonSchema';
+import { ChatTemplateHints, renderChat, resolveChatTemplate, splitToolCalls } from './ChatTemplates';
 
 interface LlamaCppContext {
   model: any;
   context: any;
   contextSize: number;
   vocabSize: number;
+  chatTemplate: ChatTemplate;
+}
+
+function randomSeed(): number {
+  return Math.floor(Math.random() * 0x100000000);
 }
 
 export class GGUFAdapter implements ModelAdapter {
@@ -23,9 +39,17 @@ export class GGUFAdapter implements ModelAdapter {
 
   private loadedContexts = new Map<string, LlamaCppContext>();
   private llamaCpp: any = null;
+  private initializationError: unknown;
+  private logger: Logger;
+  private initialization: Promise<void>;
 
-  constructor() {
-    this.initializeLlamaCpp();
+  constructor(options: { logger?: Logger } = {}) {
+    this.logger = options.logger || new ConsoleLogger('warn');
+    this.initialization = this.initializeLlamaCpp();
+  }
+
+  initialize(): Promise<void> {
+    return this.initialization;
   }
 
   private async initializeLlamaCpp(): Promise<void> {
@@ -33,10 +57,11 @@ export class GGUFAdapter implements ModelAdapter {
       if (typeof require !== 'undefined') {
         this.llamaCpp = require('@node-llama-cpp/node-llama-cpp');
       } else {
-        throw new Error('Node.js environment required for GGUF models');
+        throw AIError.dependencyMissing('Node.js', 'GGUF models');
       }
     } catch (error) {
-      console.warn('Failed to initialize llama.cpp:', error);
+      this.initializationError = error;
+      this.logger.warn('Failed to initialize llama.cpp', { error });
     }
   }
 
@@ -46,8 +71,11 @@ export class GGUFAdapter implements ModelAdapter {
   }
 
   async loadModel(modelPath: string, options: ModelOptions = {}): Promise<LoadedModel> {
+    await this.initialization;
+
     if (!this.llamaCpp) {
-      throw new Error('llama.cpp not available - ensure @node-llama-cpp/node-llama-cpp is installed');
+      throw AIError.from(this.initializationError, cause =>
+        AIError.dependencyMissing('@node-llama-cpp/node-llama-cpp', 'GGUF models', cause));
     }
 
     const modelId = `gguf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -63,22 +91,24 @@ export class GGUFAdapter implements ModelAdapter {
         contextSize: options.contextLength || 2048,
         batchSize: 512,
         threads: 4,
-        temperature: options.temperature || 0.7,
-        topP: options.topP || 0.9,
-        topK: options.topK || 40,
+        temperature: options.temperature ?? 0.7,
+        topP: options.topP ?? 0.9,
+        topK: options.topK ?? 40,
       });
 
+      const name = modelPath.split('/').pop()?.replace('.gguf', '') || 'unknown';
       const contextInfo: LlamaCppContext = {
         model,
         context,
         contextSize: options.contextLength || 2048,
-        vocabSize: model.vocabSize
+        vocabSize: model.vocabSize,
+        chatTemplate: resolveChatTemplate(options.chatTemplate, this.readTemplateHints(model, name))
       };
 
       this.loadedContexts.set(modelId, contextInfo);
 
       const modelInfo: ModelInfo = {
-        name: modelPath.split('/').pop()?.replace('.gguf', '') || 'unknown',
+        name,
         format: 'gguf',
         type: 'llm',
         size: 0,
@@ -86,7 +116,8 @@ export class GGUFAdapter implements ModelAdapter {
         checksum: '',
         metadata: {
           contextSize: contextInfo.contextSize,
-          vocabSize: contextInfo.vocabSize
+          vocabSize: contextInfo.vocabSize,
+          chatTemplate: contextInfo.chatTemplate.name
         }
       };
 
@@ -96,13 +127,14 @@ export class GGUFAdapter implements ModelAdapter {
         adapter: this as ModelAdapter,
         generate: this.createGenerateFunction(modelId),
         chat: this.createChatFunction(modelId),
-        embed: this.createEmbedFunction(modelId)
+        embed: this.createEmbedFunction(modelId),
+        countTokens: this.createCountTokensFunction(modelId)
       };
 
       return loadedModel;
 
     } catch (error) {
-      throw new Error(`Failed to load GGUF model: ${error}`);
+      throw AIError.from(error, cause => AIError.modelLoadFailed(modelPath, cause));
     }
   }
 
@@ -113,12 +145,16 @@ export class GGUFAdapter implements ModelAdapter {
         context.context?.dispose?.();
         context.model?.dispose?.();
       } catch (error) {
-        console.warn(`Error disposing model ${modelId}:`, error);
+        this.logger.warn('Error disposing model', { modelId, error });
       }
       this.loadedContexts.delete(modelId);
     }
   }
 
+  async dispose(): Promise<void> {
+    await Promise.allSettled(Array.from(this.loadedContexts.keys()).map(modelId => this.unloadModel(modelId)));
+  }
+
   getCapabilities(): AdapterCapabilities {
     return {
       supportsStreaming: true,
@@ -134,41 +170,42 @@ export class GGUFAdapter implements ModelAdapter {
     return async function* (prompt: string, options: GenerateOptions = {}) {
       const context = self.loadedContexts.get(modelId);
       if (!context) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
+      throwIfAborted(options.signal, 'generate');
+
+      let session: any;
       try {
-        const session = new self.llamaCpp.LlamaChat({
+        session = new self.llamaCpp.LlamaChat({
           context: context.context
         });
 
         const stopSequences = options.stopSequences || ['</s>', '<|end|>', '<|endoftext|>'];
-        let totalTokens = 0;
         const maxTokens = options.maxTokens || 512;
+        const seed = options.seed ?? randomSeed();
+        const pending: TokenChunk[] = [];
+        const record = self.createLogprobRecorder(modelId, context, options, pending);
 
         const responseIterator = session.prompt(prompt, {
-          temperature: options.temperature || context.context.temperature,
-          topP: options.topP || context.context.topP,
-          topK: options.topK || context.context.topK,
+          ...self.createSampling(context, options),
+          seed,
           maxTokens,
-          stopSequences
+          stopSequences,
+          grammar: self.createGrammar(options.responseFormat),
+          logprobs: options.logprobs,
+          signal: options.signal
         });
 
-        for await (const token of responseIterator) {
-          if (totalTokens >= maxTokens) break;
-
-          const tokenText = token.text || token;
-
-          if (stopSequences.some(seq => tokenText.includes(seq))) {
-            break;
-          }
-
-          totalTokens++;
-          yield tokenText;
-        }
+        const tokens = self.readTokens(responseIterator, options, 'generate', maxTokens, stopSequences, record);
+        const info = record ? yield* self.alignLogprobs(tokens, pending) : yield* tokens;
+        return { ...info, seed };
 
       } catch (error) {
-        throw new Error(`Generation failed: ${error}`);
+        if (options.signal?.aborted) throw AIError.cancelled('generate', options.signal.reason);
+        throw AIError.from(error, cause => AIError.inferenceFailed('generate', cause));
+      } finally {
+        session?.dispose?.();
       }
     };
   }
@@ -178,53 +215,226 @@ export class GGUFAdapter implements ModelAdapter {
     return async function* (messages: ChatMessage[], options: ChatOptions = {}) {
       const context = self.loadedContexts.get(modelId);
       if (!context) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
+      throwIfAborted(options.signal, 'chat');
+
+      let session: any;
       try {
-        const session = new self.llamaCpp.LlamaChat({
+        session = new self.llamaCpp.LlamaChat({
           context: context.context
         });
 
-        const chatHistory = messages.map(msg => ({
-          type: msg.role === 'user' ? 'user' : 'model',
-          text: msg.content
-        }));
-
         const lastMessage = messages[messages.length - 1];
-        if (lastMessage.role !== 'user') {
-          throw new Error('Last message must be from user');
+        if (!lastMessage || (lastMessage.role !== 'user' && lastMessage.role !== 'tool')) {
+          throw AIError.invalidInput('last message from user or tool', `last message from ${lastMessage?.role || 'nobody'}`);
         }
 
-        const stopSequences = options.stopSequences || ['</s>', '<|end|>', '<|endoftext|>'];
-        let totalTokens = 0;
+        const template = options.chatTemplate ? resolveChatTemplate(options.chatTemplate) : context.chatTemplate;
+        const rendered = renderChat(template, messages, options.tools);
+        const stopSequences = [...template.stopSequences, ...(options.stopSequences || [])];
         const maxTokens = options.maxTokens || 512;
+        const seed = options.seed ?? randomSeed();
+        const pending: TokenChunk[] = [];
+        const record = self.createLogprobRecorder(modelId, context, options, pending);
 
-        const responseIterator = session.prompt(lastMessage.content, {
-          temperature: options.temperature || context.context.temperature,
-          topP: options.topP || context.context.topP,
-          topK: options.topK || context.context.topK,
+        const responseIterator = session.prompt(rendered.prompt, {
+          ...self.createSampling(context, options),
+          seed,
           maxTokens,
           stopSequences,
-          systemMessage: messages.find(m => m.role === 'system')?.content
+          grammar: self.createGrammar(options.responseFormat),
+          logprobs: options.logprobs,
+          signal: options.signal
         });
 
-        for await (const token of responseIterator) {
-          if (totalTokens >= maxTokens) break;
+        const tokens = self.readTokens(responseIterator, options, 'chat', maxTokens, stopSequences, record);
+        const chunks = rendered.toolCallStart
+          ? splitToolCalls(tokens, rendered.toolCallStart, rendered.parseToolCalls!)
+          : tokens;
+        const info = record ? yield* self.alignLogprobs(chunks, pending) : yield* chunks;
+        return { ...info, seed };
 
-          const tokenText = token.text || token;
+      } catch (error) {
+        if (options.signal?.aborted) throw AIError.cancelled('chat', options.signal.reason);
+        throw AIError.from(error, cause => AIError.inferenceFailed('chat', cause));
+      } finally {
+        session?.dispose?.();
+      }
+    };
+  }
 
-          if (stopSequences.some(seq => tokenText.includes(seq))) {
-            break;
-          }
+  private async *readTokens(
+    responseIterator: AsyncIterable<any>,
+    options: GenerateOptions,
+    operation: string,
+    maxTokens: number,
+    stopSequences: string[],
+    record?: (token: any) => void
+  ): AsyncGenerator<string, GenerationInfo> {
+    const matcher = new StopSequenceMatcher(stopSequences);
+    let totalTokens = 0;
+
+    for await (const token of responseIterator) {
+      throwIfAborted(options.signal, operation);
+
+      totalTokens++;
+      record?.(token);
+      const match = matcher.push(token.text || token);
+      if (match.text) yield match.text;
+      if (match.stopSequence !== undefined) {
+        return { finishReason: 'stop', stopSequence: match.stopSequence, completionTokens: totalTokens };
+      }
+
+      if (totalTokens >= maxTokens) break;
+    }
+
+    const rest = matcher.flush();
+    if (rest.text) yield rest.text;
+    if (rest.stopSequence !== undefined) {
+      return { finishReason: 'stop', stopSequence: rest.stopSequence, completionTokens: totalTokens };
+    }
+    return { finishReason: totalTokens >= maxTokens ? 'length' : 'stop', completionTokens: totalTokens };
+  }
+
+  private createSampling(context: LlamaCppContext, options: GenerateOptions): Record<string, any> {
+    const penalized = [options.repeatPenalty, options.presencePenalty, options.frequencyPenalty]
+      .some(value => value !== undefined);
+
+    return {
+      temperature: options.greedy ? 0 : options.temperature ?? context.context.temperature,
+      topP: options.greedy ? 1 : options.topP ?? context.context.topP,
+      topK: options.greedy ? 1 : options.topK ?? context.context.topK,
+      minP: options.greedy ? undefined : options.minP,
+      typicalP: options.greedy ? undefined : options.typicalP,
+      mirostat: options.greedy ? undefined : options.mirostat,
+      mirostatTau: options.mirostatTau,
+      mirostatEta: options.mirostatEta,
+      repeatPenalty: penalized ? {
+        penalty: options.repeatPenalty ?? 1,
+        presencePenalty: options.presencePenalty ?? 0,
+        frequencyPenalty: options.frequencyPenalty ?? 0,
+        lastTokens: options.repeatLastN ?? 64
+      } : undefined,
+      tokenBias: this.createTokenBias(context, options.logitBias)
+    };
+  }
+
+  private createTokenBias(context: LlamaCppContext, logitBias?: GenerateOptions['logitBias']): Record<number, number> | undefined {
+    if (!logitBias || logitBias.length === 0) return undefined;
 
-          totalTokens++;
-          yield tokenText;
+    const bias: Record<number, number> = {};
+    for (const entry of logitBias) {
+      if (typeof entry.token === 'number') {
+        bias[entry.token] = entry.bias;
+        continue;
+      }
+
+      const tokens = context.model.tokenize?.(entry.token);
+      if (!Array.isArray(tokens) && !ArrayBuffer.isView(tokens)) {
+        throw AIError.configurationError('logitBias', entry.token, 'this model cannot tokenize text; pass token ids instead');
+      }
+      for (const token of Array.from(tokens as ArrayLike<number>)) {
+        bias[token] = entry.bias;
+      }
+    }
+    return bias;
+  }
+
+  private createLogprobRecorder(
+    modelId: string,
+    context: LlamaCppContext,
+    options: GenerateOptions,
+    pending: TokenChunk[]
+  ): ((token: any) => void) | undefined {
+    const count = options.logprobs;
+    if (count === undefined) return undefined;
+
+    const entry = (tokenId: number, probability: number): TokenLogprob => ({
+      text: context.model.detokenize?.([tokenId]) ?? '',
+      tokenId,
+      logprob: Math.log(probability)
+    });
+
+    return token => {
+      const probabilities = token?.probabilities;
+      if (typeof token?.token !== 'number' || !(probabilities instanceof Map)) {
+        throw AIError.capabilityNotSupported(modelId, 'token log-probabilities');
+      }
+
+      const ranked = Array.from(probabilities as Map<number, number>).sort(([, a], [, b]) => b - a);
+      pending.push({
+        ...entry(token.token, probabilities.get(token.token) ?? 0),
+        type: 'token',
+        text: token.text || '',
+        topLogprobs: ranked.slice(0, count).map(([tokenId, probability]) => entry(tokenId, probability))
+      });
+    };
+  }
+
+  private async *alignLogprobs<T extends ChatChunk>(
+    chunks: AsyncGenerator<T, GenerationInfo>,
+    pending: TokenChunk[]
+  ): AsyncGenerator<Exclude<T, string> | TokenChunk, GenerationInfo> {
+    let released = 0;
+    let info: GenerationInfo | undefined;
+
+    try {
+      while (true) {
+        const next = await chunks.next();
+        if (next.done) {
+          info = next.value;
+          break;
         }
 
-      } catch (error) {
-        throw new Error(`Chat completion failed: ${error}`);
+        if (typeof next.value !== 'string') {
+          yield next.value as Exclude<T, string>;
+          continue;
+        }
+
+        released += next.value.length;
+        while (pending.length > 0 && pending[0].text.length <= released) {
+          const token = pending.shift()!;
+          released -= token.text.length;
+          yield token;
+        }
       }
+    } finally {
+      if (!info) await chunks.return(undefined as never);
+    }
+
+    if (released > 0 && pending.length > 0) {
+      yield { ...pending[0], text: pending[0].text.slice(0, released) };
+    }
+    return info;
+  }
+
+  private createGrammar(responseFormat?: ResponseFormat): any {
+    if (!responseFormat || !this.llamaCpp.LlamaGrammar) return undefined;
+
+    const schema = responseFormat.type === 'json_schema' ? responseFormat.schema : undefined;
+    return new this.llamaCpp.LlamaGrammar({ grammar: jsonSchemaToGrammar(schema) });
+  }
+
+  private readTemplateHints(model: any, name: string): ChatTemplateHints {
+    const metadata = model.fileInfo?.metadata || {};
+    const flat = model.metadata || {};
+
+    return {
+      chatTemplate: metadata.tokenizer?.chat_template ?? flat['tokenizer.chat_template'],
+      architecture: metadata.general?.architecture ?? flat['general.architecture'],
+      name: metadata.general?.name ?? flat['general.name'] ?? name
+    };
+  }
+
+  private createCountTokensFunction(modelId: string) {
+    return (text: string): number => {
+      const context = this.loadedContexts.get(modelId);
+      const tokens = context?.model?.tokenize?.(text);
+      return Array.isArray(tokens) || ArrayBuffer.isView(tokens)
+        ? (tokens as ArrayLike<number>).length
+        : Math.ceil(text.length / 4);
     };
   }
 
@@ -232,13 +442,15 @@ export class GGUFAdapter implements ModelAdapter {
     return async (input: string | any, options: EmbeddingOptions = {}): Promise<Float32Array> => {
       const context = this.loadedContexts.get(modelId);
       if (!context) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
       if (typeof input !== 'string') {
-        throw new Error('GGUF models only support text embeddings');
+        throw AIError.invalidInput('string', typeof input);
       }
 
+      throwIfAborted(options.signal, 'embed');
+
       try {
         const embeddings = await context.context.getEmbedding(input);
 
@@ -254,7 +466,7 @@ export class GGUFAdapter implements ModelAdapter {
         return new Float32Array(embeddings);
 
       } catch (error) {
-        throw new Error(`Embedding generation failed: ${error}`);
+        throw AIError.from(error, cause => AIError.inferenceFailed('embed', cause));
       }
     };
   }
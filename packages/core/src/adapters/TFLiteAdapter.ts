@@ -12,6 +12,8 @@ import {
   SegmentationResult,
   AdapterCapabilities
 } from '../types';
+import { Logger, ConsoleLogger } from '../utils/Logger';
+import { AIError } from '../utils/ErrorHandler';
 
 interface TFLiteModel {
   interpreter: any;
@@ -26,9 +28,17 @@ export class TFLiteAdapter implements ModelAdapter {
 
   private loadedModels = new Map<string, TFLiteModel>();
   private tflite: any = null;
+  private initializationError: unknown;
+  private logger: Logger;
+  private initialization: Promise<void>;
 
-  constructor() {
-    this.initializeTFLite();
+  constructor(options: { logger?: Logger } = {}) {
+    this.logger = options.logger || new ConsoleLogger('warn');
+    this.initialization = this.initializeTFLite();
+  }
+
+  initialize(): Promise<void> {
+    return this.initialization;
   }
 
   private async initializeTFLite(): Promise<void> {
@@ -41,7 +51,8 @@ export class TFLiteAdapter implements ModelAdapter {
         this.tflite = tf;
       }
     } catch (error) {
-      console.warn('Failed to initialize TensorFlow Lite:', error);
+      this.initializationError = error;
+      this.logger.warn('Failed to initialize TensorFlow Lite', { error });
     }
   }
 
@@ -51,8 +62,11 @@ export class TFLiteAdapter implements ModelAdapter {
   }
 
   async loadModel(modelPath: string, options: ModelOptions = {}): Promise<LoadedModel> {
+    await this.initialization;
+
     if (!this.tflite) {
-      throw new Error('TensorFlow Lite not available - ensure @tensorflow/tfjs-tflite is installed');
+      throw AIError.from(this.initializationError, cause =>
+        AIError.dependencyMissing('@tensorflow/tfjs-tflite', 'TensorFlow Lite models', cause));
     }
 
     const modelId = `tflite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -63,7 +77,7 @@ export class TFLiteAdapter implements ModelAdapter {
       if (typeof fetch !== 'undefined' && (modelPath.startsWith('http://') || modelPath.startsWith('https://'))) {
         const response = await fetch(modelPath);
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          throw AIError.networkError(modelPath, new Error(`HTTP ${response.status}: ${response.statusText}`));
         }
         modelBuffer = await response.arrayBuffer();
       } else {
@@ -108,7 +122,7 @@ export class TFLiteAdapter implements ModelAdapter {
           }
         }
       } catch (error) {
-        console.warn('Could not load labels file:', error);
+        this.logger.warn('Could not load labels file', { error });
       }
 
       const tfliteModel: TFLiteModel = {
@@ -146,7 +160,7 @@ export class TFLiteAdapter implements ModelAdapter {
       return loadedModel;
 
     } catch (error) {
-      throw new Error(`Failed to load TFLite model: ${error}`);
+      throw AIError.from(error, cause => AIError.modelLoadFailed(modelPath, cause));
     }
   }
 
@@ -156,12 +170,16 @@ export class TFLiteAdapter implements ModelAdapter {
       try {
         model.interpreter.dispose?.();
       } catch (error) {
-        console.warn(`Error disposing model ${modelId}:`, error);
+        this.logger.warn('Error disposing model', { modelId, error });
       }
       this.loadedModels.delete(modelId);
     }
   }
 
+  async dispose(): Promise<void> {
+    await Promise.allSettled(Array.from(this.loadedModels.keys()).map(modelId => this.unloadModel(modelId)));
+  }
+
   getCapabilities(): AdapterCapabilities {
     return {
       supportsStreaming: false,
@@ -189,7 +207,7 @@ export class TFLiteAdapter implements ModelAdapter {
     return async (input: Tensor, options: ClassifyOptions = {}): Promise<ClassificationResult> => {
       const model = this.loadedModels.get(modelId);
       if (!model) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
       try {
@@ -233,7 +251,7 @@ export class TFLiteAdapter implements ModelAdapter {
         return result;
 
       } catch (error) {
-        throw new Error(`Classification failed: ${error}`);
+        throw AIError.from(error, cause => AIError.inferenceFailed('classify', cause));
       }
     };
   }
@@ -242,7 +260,7 @@ export class TFLiteAdapter implements ModelAdapter {
     return async (input: Tensor, options: any = {}): Promise<DetectionResult> => {
       const model = this.loadedModels.get(modelId);
       if (!model) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
       try {
@@ -290,7 +308,7 @@ export class TFLiteAdapter implements ModelAdapter {
         };
 
       } catch (error) {
-        throw new Error(`Detection failed: ${error}`);
+        throw AIError.from(error, cause => AIError.inferenceFailed('detect', cause));
       }
     };
   }
@@ -299,7 +317,7 @@ export class TFLiteAdapter implements ModelAdapter {
     return async (input: Tensor, options: any = {}): Promise<SegmentationResult> => {
       const model = this.loadedModels.get(modelId);
       if (!model) {
-        throw new Error(`Model ${modelId} not found`);
+        throw AIError.modelNotFound(modelId);
       }
 
       try {
@@ -342,7 +360,7 @@ export class TFLiteAdapter implements ModelAdapter {
         };
 
       } catch (error) {
-        throw new Error(`Segmentation failed: ${error}`);
+        throw AIError.from(error, cause => AIError.inferenceFailed('segment', cause));
       }
     };
   }
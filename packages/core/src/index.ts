@@ -3,9 +3,31 @@ export { IDGAF } from './IDGAF';
 export {
   AIConfig,
   ModelOptions,
+  InferenceTask,
+  InferenceOptions,
   GenerateOptions,
+  SamplingOptions,
+  LogitBias,
   ChatMessage,
   ChatOptions,
+  ChatTemplate,
+  ChatTemplateName,
+  ChatChunk,
+  FinishReason,
+  GenerationInfo,
+  ToolDefinition,
+  ToolCall,
+  ToolCallChunk,
+  TokenChunk,
+  TokenLogprob,
+  JsonSchema,
+  JsonSchemaType,
+  ResponseFormat,
+  GenerateObjectOptions,
+  GenerateObjectResult,
+  TextResult,
+  TextTimings,
+  TokenUsage,
   ClassifyOptions,
   ClassificationResult,
   Classification,
@@ -21,7 +43,37 @@ export {
   ModelInfo,
   ModelAdapter,
   AdapterCapabilities,
+  AdapterPlugin,
+  AdapterContext,
+  AdapterDescriptor,
+  IDGAFEvents,
+  TelemetryConfig,
+  SchedulerConfig,
+  InferencePriority,
+  InferenceMetadata,
+  FallbackAttempt,
+  PreloadModelConfig,
+  ConfigFile,
+  ConfigFileSection,
+  LoadConfigOptions,
+  ConversationConfig,
+  Conversation,
+  ConversationSummary,
+  ConversationLock,
+  ConversationStore,
+  ContextStrategy,
+  ContextWindowOptions,
+  ContextWindowReport,
+  BatchOptions,
+  BatchItemResult,
+  TelemetryRecord,
+  TelemetrySink,
   PerformanceMetrics,
+  PerformanceReport,
+  OperationMetrics,
+  LatencySummary,
+  MetricsSnapshot,
+  ModelMetricsSnapshot,
   HardwareInfo,
   ProgressCallback,
   ModelDownloadOptions,
@@ -31,11 +83,53 @@ export {
 
 export { GGUFAdapter } from './adapters/GGUFAdapter';
 export { TFLiteAdapter } from './adapters/TFLiteAdapter';
+export {
+  ggufPlugin,
+  tflitePlugin,
+  builtinPlugins,
+  isDependencyResolvable
+} from './adapters/AdapterPlugins';
+export {
+  CHAT_TEMPLATES,
+  CHAT_TEMPLATE_NAMES,
+  ChatTemplateHints,
+  RenderedChat,
+  detectChatTemplate,
+  resolveChatTemplate,
+  renderChat,
+  splitToolCalls
+} from './adapters/ChatTemplates';
 
 export { ModelRegistry } from './runtime/ModelRegistry';
 export { ModelManager } from './runtime/ModelManager';
 export { HardwareDetection } from './runtime/HardwareDetection';
 export { LRUCache } from './runtime/LRUCache';
+export { TelemetryRecorder, FileTelemetrySink } from './runtime/Telemetry';
+export { InferenceScheduler, SchedulerSlot } from './runtime/InferenceScheduler';
+export { MetricsCollector, RollingHistogram, OperationSample } from './runtime/MetricsCollector';
+export {
+  loadConfig,
+  readConfigFile,
+  findConfigFile,
+  validateConfig,
+  validateConfigFile,
+  validateSamplingOptions,
+  applyEnvOverrides,
+  mergeConfig,
+  CONFIG_FILE_NAMES
+} from './runtime/ConfigLoader';
+export {
+  renderOpenMetrics,
+  createMetricsHandler,
+  MetricsSource,
+  OPENMETRICS_CONTENT_TYPE
+} from './runtime/MetricsExporter';
+export {
+  ConversationManager,
+  InMemoryConversationStore,
+  FileConversationStore
+} from './runtime/ConversationStore';
+export { fitContextWindow, FitContextOptions, FittedContext } from './runtime/ContextWindow';
 
 export {
   StreamController,
@@ -44,9 +138,31 @@ export {
   streamWithTimeout,
   transformStream,
   bufferStream,
-  StreamCancellation
+  tapStream,
+  drainStream,
+  StopSequenceMatcher,
+  StopSequenceMatch,
+  StreamCancellation,
+  throwIfAborted,
+  withAbortSignal
 } from './utils/StreamingUtils';
 
+export { jsonSchemaToGrammar, validateJsonSchema, extractJson } from './utils/JsonSchema';
+
+export { TypedEventEmitter, EventListener } from './utils/EventEmitter';
+
+export {
+  Logger,
+  LogLevel,
+  LogFields,
+  ConsoleLogger,
+  JsonLogger,
+  DEFAULT_REDACTED_FIELDS,
+  redactFields,
+  childLogger,
+  withRedaction
+} from './utils/Logger';
+
 export {
   AIError,
   ErrorCode,
@@ -0,0 +1,148 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ErrorCode } from '../utils/ErrorHandler';
+import { loadConfig, validateConfig, validateSamplingOptions } from './ConfigLoader';
+
+describe('ConfigLoader', () => {
+  let directory: string;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'idgaf-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (name: string, config: unknown) =>
+    fs.writeFileSync(path.join(directory, name), JSON.stringify(config));
+
+  describe('loadConfig', () => {
+    it('should return an empty config when no file is found', () => {
+      expect(loadConfig({ cwd: directory, env: {}, searchHome: false })).toEqual({});
+    });
+
+    it('should read .idgafrc from the working directory', () => {
+      write('.idgafrc', { modelCachePath: './models', logLevel: 'debug' });
+
+      expect(loadConfig({ cwd: directory, env: {}, searchHome: false })).toEqual({
+        modelCachePath: './models',
+        logLevel: 'debug'
+      });
+    });
+
+    it('should read an explicit path relative to cwd', () => {
+      write('custom.json', { maxCacheSize: 512 });
+
+      expect(loadConfig({ cwd: directory, env: {}, path: 'custom.json' })).toEqual({ maxCacheSize: 512 });
+    });
+
+    it('should merge the selected profile over the base config', () => {
+      write('.idgafrc', {
+        logLevel: 'info',
+        hardware: { preferGPU: true, maxMemoryMB: 1024 },
+        profiles: { dev: { logLevel: 'debug', hardware: { maxMemoryMB: 2048 } } }
+      });
+
+      expect(loadConfig({ cwd: directory, env: {}, searchHome: false, profile: 'dev' })).toEqual({
+        logLevel: 'debug',
+        hardware: { preferGPU: true, maxMemoryMB: 2048 }
+      });
+    });
+
+    it('should reject an unknown profile', () => {
+      write('.idgafrc', { profiles: { dev: {} } });
+
+      expect(() => loadConfig({ cwd: directory, env: {}, searchHome: false, profile: 'prod' })).toThrow(
+        'Configuration error for profile: profile not found'
+      );
+    });
+
+    it('should apply environment overrides last', () => {
+      write('.idgafrc', { logLevel: 'info', scheduler: { concurrency: 1 } });
+
+      const config = loadConfig({
+        cwd: directory,
+        searchHome: false,
+        env: {
+          IDGAF_LOG_LEVEL: 'warn',
+          IDGAF_SCHEDULER_CONCURRENCY: '4',
+          IDGAF_PREFER_GPU: 'yes',
+          IDGAF_DEFAULT_MODEL_CHAT: 'llama',
+          IDGAF_PRELOAD: 'a.gguf, b.gguf'
+        }
+      });
+
+      expect(config).toEqual({
+        logLevel: 'warn',
+        scheduler: { concurrency: 4 },
+        hardware: { preferGPU: true },
+        defaultModels: { chat: 'llama' },
+        preload: ['a.gguf', 'b.gguf']
+      });
+    });
+
+    it('should report invalid JSON', () => {
+      fs.writeFileSync(path.join(directory, '.idgafrc'), '{ "logLevel": ');
+
+      expect(() => loadConfig({ cwd: directory, env: {}, searchHome: false })).toThrow(/invalid JSON/);
+    });
+
+    it('should report a missing explicit config file', () => {
+      expect(() => loadConfig({ cwd: directory, env: {}, path: 'missing.json' })).toThrow('config file not found');
+    });
+
+    it('should reject invalid environment values', () => {
+      expect(() => loadConfig({ cwd: directory, env: { IDGAF_MAX_CACHE_SIZE: 'big' }, searchHome: false }))
+        .toThrow('Configuration error for IDGAF_MAX_CACHE_SIZE: expected a number');
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should accept a valid config', () => {
+      const config = {
+        logLevel: 'warn' as const,
+        preload: ['a.gguf', { source: 'b.gguf', alias: 'b', chatTemplate: 'llama3' as const }],
+        fallbacks: { chat: ['b'] },
+        contextWindow: { strategy: 'keep-last' as const, keepLastMessages: 6 }
+      };
+
+      expect(validateConfig(config)).toBe(config);
+    });
+
+    it('should name the offending setting', () => {
+      const attempt = (config: unknown) => {
+        try {
+          validateConfig(config);
+        } catch (error) {
+          return (error as any).details.setting;
+        }
+      };
+
+      expect(attempt({ logLevel: 'loud' })).toBe('logLevel');
+      expect(attempt({ scheduler: { concurrency: 0 } })).toBe('scheduler.concurrency');
+      expect(attempt({ preload: [{ alias: 'x' }] })).toBe('preload[0].source');
+      expect(attempt({ fallbacks: { think: ['x'] } })).toBe('fallbacks.think');
+      expect(attempt({ telemetry: { sink: {} } })).toBe('telemetry.sink');
+      expect(attempt({ hardware: { useTPU: true } })).toBe('hardware.useTPU');
+    });
+
+    it('should allow runtime-only fields', () => {
+      expect(() => validateConfig({ logger: { debug() {}, info() {}, warn() {}, error() {} }, adapters: [] })).not.toThrow();
+    });
+  });
+
+  describe('validateSamplingOptions', () => {
+    it('should accept zero values and greedy decoding', () => {
+      expect(() => validateSamplingOptions({ temperature: 0, greedy: true, seed: 0, logprobs: 0 })).not.toThrow();
+    });
+
+    it('should reject out-of-range values with a configuration error', () => {
+      expect(() => validateSamplingOptions({ topP: 1.5 })).toThrow(
+        expect.objectContaining({ code: ErrorCode.CONFIGURATION_ERROR, message: 'Configuration error for topP: must be <= 1' })
+      );
+      expect(() => validateSamplingOptions({ logitBias: [{ token: 'x', bias: 101 }] })).toThrow('logitBias[0].bias');
+    });
+  });
+});
\ No newline at end of file
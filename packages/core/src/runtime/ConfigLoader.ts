@@ -0,0 +1,401 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  AIConfig,
+  ConfigFile,
+  ConfigFileSection,
+  InferenceTask,
+  LoadConfigOptions,
+  SamplingOptions
+} from '../types';
+import { CHAT_TEMPLATE_NAMES } from '../adapters/ChatTemplates';
+import { AIError } from '../utils/ErrorHandler';
+
+export const CONFIG_FILE_NAMES = ['.idgafrc', '.idgafrc.json', '.idgafrc.yaml', '.idgafrc.yml'];
+
+const INFERENCE_TASKS: InferenceTask[] = [
+  'generate', 'chat', 'classify', 'detect', 'segment', 'transcribe', 'synthesize', 'embed', 'run'
+];
+
+const ENV_OVERRIDES: Array<{ variable: string; path: string[]; type: 'string' | 'number' | 'boolean' }> = [
+  { variable: 'IDGAF_MODEL_CACHE_PATH', path: ['modelCachePath'], type: 'string' },
+  { variable: 'IDGAF_MAX_CACHE_SIZE', path: ['maxCacheSize'], type: 'number' },
+  { variable: 'IDGAF_LOG_LEVEL', path: ['logLevel'], type: 'string' },
+  { variable: 'IDGAF_ENABLE_TELEMETRY', path: ['enableTelemetry'], type: 'boolean' },
+  { variable: 'IDGAF_TELEMETRY_FILE', path: ['telemetry', 'filePath'], type: 'string' },
+  { variable: 'IDGAF_PREFER_GPU', path: ['hardware', 'preferGPU'], type: 'boolean' },
+  { variable: 'IDGAF_PREFER_NPU', path: ['hardware', 'preferNPU'], type: 'boolean' },
+  { variable: 'IDGAF_MAX_MEMORY_MB', path: ['hardware', 'maxMemoryMB'], type: 'number' },
+  { variable: 'IDGAF_MEMORY_POLICY', path: ['memoryPolicy'], type: 'string' },
+  { variable: 'IDGAF_REDACT_PROMPTS', path: ['redactPrompts'], type: 'boolean' },
+  { variable: 'IDGAF_AUTO_REGISTER_ADAPTERS', path: ['autoRegisterAdapters'], type: 'boolean' },
+  { variable: 'IDGAF_SCHEDULER_CONCURRENCY', path: ['scheduler', 'concurrency'], type: 'number' },
+  { variable: 'IDGAF_SCHEDULER_MAX_QUEUE_LENGTH', path: ['scheduler', 'maxQueueLength'], type: 'number' }
+];
+
+const MAX_SEED = 0xFFFFFFFF;
+const MAX_LOGPROBS = 20;
+
+type Check = (value: any, at: string) => void;
+
+function join(at: string, key: string | number): string {
+  if (typeof key === 'number') return `${at}[${key}]`;
+  return at ? `${at}.${key}` : key;
+}
+
+function fail(at: string, value: any, reason: string): never {
+  throw AIError.configurationError(at || 'config', value, reason);
+}
+
+function isPlainObject(value: any): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const string: Check = (value, at) => {
+  if (typeof value !== 'string' || value.length === 0) fail(at, value, 'expected a non-empty string');
+};
+
+const boolean: Check = (value, at) => {
+  if (typeof value !== 'boolean') fail(at, value, 'expected a boolean');
+};
+
+function number(options: { min?: number; max?: number; integer?: boolean } = {}): Check {
+  return (value, at) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) fail(at, value, 'expected a number');
+    if (options.integer && Number.isFinite(value) && !Number.isInteger(value)) fail(at, value, 'expected an integer');
+    if (options.min !== undefined && value < options.min) fail(at, value, `must be >= ${options.min}`);
+    if (options.max !== undefined && value > options.max) fail(at, value, `must be <= ${options.max}`);
+  };
+}
+
+function oneOf(allowed: readonly string[]): Check {
+  return (value, at) => {
+    if (!allowed.includes(value)) fail(at, value, `expected one of ${allowed.join(', ')}`);
+  };
+}
+
+function object(fields: Record<string, Check>, strict: boolean = true): Check {
+  return (value, at) => {
+    if (!isPlainObject(value)) fail(at, value, 'expected an object');
+
+    for (const [key, field] of Object.entries(value)) {
+      const check = fields[key];
+      if (!check) {
+        if (!strict) continue;
+        fail(join(at, key), field, `unknown option; expected one of ${Object.keys(fields).join(', ')}`);
+      }
+      if (field !== undefined) check(field, join(at, key));
+    }
+  };
+}
+
+function record(check: Check, keys?: readonly string[]): Check {
+  return (value, at) => {
+    if (!isPlainObject(value)) fail(at, value, 'expected an object');
+
+    for (const [key, entry] of Object.entries(value)) {
+      if (keys && !keys.includes(key)) fail(join(at, key), entry, `unknown key; expected one of ${keys.join(', ')}`);
+      if (entry !== undefined) check(entry, join(at, key));
+    }
+  };
+}
+
+function array(check: Check): Check {
+  return (value, at) => {
+    if (!Array.isArray(value)) fail(at, value, 'expected an array');
+    value.forEach((item: any, index: number) => check(item, join(at, index)));
+  };
+}
+
+function implementing(description: string, methods: string[]): Check {
+  return (value, at) => {
+    const valid = typeof value === 'object' && value !== null &&
+      methods.every(method => typeof value[method] === 'function');
+    if (!valid) fail(at, typeof value, `expected ${description}`);
+  };
+}
+
+const adapter: Check = (value, at) => {
+  const isPlugin = typeof value?.create === 'function';
+  const isAdapter = typeof value?.loadModel === 'function' && typeof value?.canHandle === 'function';
+  if (!isPlugin && !isAdapter) fail(at, typeof value, 'expected an adapter plugin or a ModelAdapter instance');
+};
+
+const schedulerLimits = {
+  concurrency: number({ min: 1, integer: true }),
+  maxQueueLength: number({ min: 0, integer: true })
+};
+
+const logitBias: Check = (value, at) => {
+  object({
+    token: (token, tokenAt) => {
+      if (typeof token === 'string') return string(token, tokenAt);
+      number({ min: 0, integer: true })(token, tokenAt);
+    },
+    bias: number({ min: -100, max: 100 })
+  })(value, at);
+
+  if (value.token === undefined) fail(join(at, 'token'), undefined, 'is required');
+  if (value.bias === undefined) fail(join(at, 'bias'), undefined, 'is required');
+};
+
+const validateSampling = object({
+  temperature: number({ min: 0 }),
+  topP: number({ min: 0, max: 1 }),
+  topK: number({ min: 0, integer: true }),
+  minP: number({ min: 0, max: 1 }),
+  typicalP: number({ min: 0, max: 1 }),
+  repeatPenalty: number({ min: 0 }),
+  repeatLastN: number({ min: 0, integer: true }),
+  presencePenalty: number({ min: -2, max: 2 }),
+  frequencyPenalty: number({ min: -2, max: 2 }),
+  mirostat: number({ min: 0, max: 2, integer: true }),
+  mirostatTau: number({ min: 0 }),
+  mirostatEta: number({ min: 0, max: 1 }),
+  logitBias: array(logitBias),
+  greedy: boolean,
+  seed: number({ min: 0, max: MAX_SEED, integer: true }),
+  logprobs: number({ min: 0, max: MAX_LOGPROBS, integer: true })
+}, false);
+
+const preloadModel: Check = (value, at) => {
+  if (typeof value === 'string') return string(value, at);
+
+  object({
+    source: string,
+    quantization: oneOf(['2bit', '4bit', '8bit', 'fp16', 'fp32']),
+    contextLength: number({ min: 1, integer: true }),
+    temperature: number({ min: 0 }),
+    topP: number({ min: 0, max: 1 }),
+    topK: number({ min: 0, integer: true }),
+    maxTokens: number({ min: 1, integer: true }),
+    cacheEnabled: boolean,
+    alias: string,
+    pinned: boolean,
+    chatTemplate: oneOf(CHAT_TEMPLATE_NAMES)
+  })(value, at);
+
+  if (value.source === undefined) fail(join(at, 'source'), undefined, 'is required');
+};
+
+const serializableFields: Record<string, Check> = {
+  modelCachePath: string,
+  maxCacheSize: number({ min: 1 }),
+  logLevel: oneOf(['debug', 'info', 'warn', 'error']),
+  enableTelemetry: boolean,
+  hardware: object({
+    preferGPU: boolean,
+    preferNPU: boolean,
+    maxMemoryMB: number({ min: 1 })
+  }),
+  autoRegisterAdapters: boolean,
+  defaultModels: record(string, INFERENCE_TASKS),
+  redactPrompts: boolean,
+  telemetry: object({
+    sink: implementing('a telemetry sink with a write() method', ['write']),
+    filePath: string,
+    maxFileSize: number({ min: 1 }),
+    maxFiles: number({ min: 1, integer: true }),
+    bufferSize: number({ min: 1, integer: true }),
+    maxBufferedRecords: number({ min: 1, integer: true }),
+    flushIntervalMs: number({ min: 0 })
+  }),
+  memoryPolicy: oneOf(['reject', 'evict-lru']),
+  scheduler: object({
+    ...schedulerLimits,
+    models: record(object(schedulerLimits))
+  }),
+  preload: array(preloadModel),
+  fallbacks: record(array(string), INFERENCE_TASKS),
+  timeouts: record(number({ min: 1 }), INFERENCE_TASKS),
+  conversations: object({
+    store: implementing('a conversation store with get(), save(), delete() and list()', ['get', 'save', 'delete', 'list']),
+    directory: string
+  }),
+  contextWindow: object({
+    strategy: oneOf(['drop-oldest', 'keep-last', 'summarize']),
+    keepLastMessages: number({ min: 1, integer: true }),
+    reserveTokens: number({ min: 0, integer: true }),
+    summaryMaxTokens: number({ min: 1, integer: true })
+  })
+};
+
+const validateSection = object(serializableFields);
+
+const validateRuntimeConfig = object({
+  ...serializableFields,
+  adapters: array(adapter),
+  logger: implementing('a logger with debug(), info(), warn() and error()', ['debug', 'info', 'warn', 'error'])
+}, false);
+
+const validateFile = object({
+  ...serializableFields,
+  profiles: record(validateSection)
+});
+
+export function validateConfig(config: unknown): AIConfig {
+  validateRuntimeConfig(config, '');
+  return config as AIConfig;
+}
+
+export function validateConfigFile(config: unknown): ConfigFile {
+  validateFile(config, '');
+  return config as ConfigFile;
+}
+
+export function validateSamplingOptions<T extends SamplingOptions>(options: T): T {
+  validateSampling(options, '');
+  return options;
+}
+
+export function mergeConfig<T extends Record<string, any>>(base: T, override: Partial<T>): T {
+  const result: Record<string, any> = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? mergeConfig(result[key], value)
+      : value;
+  }
+
+  return result as T;
+}
+
+export function findConfigFile(cwd: string = process.cwd(), searchHome: boolean = true): string | null {
+  const directories = searchHome ? [cwd, os.homedir()] : [cwd];
+
+  for (const directory of directories) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(directory, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function readConfigFile(filePath: string): ConfigFile {
+  if (!fs.existsSync(filePath)) {
+    throw AIError.configurationError('config', filePath, 'config file not found');
+  }
+
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const extension = path.extname(filePath).toLowerCase();
+  const isJson = extension === '.json' ||
+    (extension !== '.yaml' && extension !== '.yml' && /^\s*[{[]/.test(text));
+
+  const parsed = isJson ? parseJson(text, filePath) : parseYaml(text, filePath);
+  return validateConfigFile(parsed ?? {});
+}
+
+export function applyEnvOverrides(
+  config: AIConfig,
+  env: Record<string, string | undefined> = process.env
+): AIConfig {
+  let result: AIConfig = config;
+
+  for (const override of ENV_OVERRIDES) {
+    const raw = env[override.variable];
+    if (raw === undefined || raw === '') continue;
+
+    const value = parseEnvValue(override.variable, raw, override.type);
+    result = mergeConfig(result, nest(override.path, value));
+  }
+
+  for (const task of INFERENCE_TASKS) {
+    const target = env[`IDGAF_DEFAULT_MODEL_${task.toUpperCase()}`];
+    if (target) {
+      result = mergeConfig(result, { defaultModels: { [task]: target } });
+    }
+  }
+
+  const preload = env.IDGAF_PRELOAD;
+  if (preload) {
+    result = { ...result, preload: preload.split(',').map(source => source.trim()).filter(Boolean) };
+  }
+
+  return result;
+}
+
+export function loadConfig(options: LoadConfigOptions = {}): AIConfig {
+  const env = options.env ?? process.env;
+  const cwd = options.cwd ?? process.cwd();
+  const explicitPath = options.path ?? env.IDGAF_CONFIG;
+  const filePath = explicitPath
+    ? path.resolve(cwd, explicitPath)
+    : findConfigFile(cwd, options.searchHome ?? true);
+  const profile = options.profile ?? env.IDGAF_PROFILE;
+
+  let config: AIConfig = {};
+
+  if (filePath) {
+    const { profiles, ...base } = readConfigFile(filePath);
+    config = base;
+
+    if (profile) {
+      const selected = profiles?.[profile];
+      if (!selected) {
+        const available = Object.keys(profiles || {});
+        throw AIError.configurationError(
+          'profile',
+          profile,
+          available.length > 0
+            ? `profile not found in ${filePath}; available profiles: ${available.join(', ')}`
+            : `no profiles are defined in ${filePath}`
+        );
+      }
+      config = mergeConfig<ConfigFileSection>(base, selected);
+    }
+  } else if (profile) {
+    throw AIError.configurationError('profile', profile, 'no config file found to read profiles from');
+  }
+
+  return validateConfig(applyEnvOverrides(config, env));
+}
+
+function parseJson(text: string, filePath: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw AIError.configurationError(filePath, undefined, `invalid JSON: ${(error as Error).message}`);
+  }
+}
+
+function parseYaml(text: string, filePath: string): unknown {
+  let yaml: { load(text: string): unknown };
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw AIError.dependencyMissing('js-yaml', `YAML config file ${filePath}`, error);
+  }
+
+  try {
+    return yaml.load(text);
+  } catch (error) {
+    throw AIError.configurationError(filePath, undefined, `invalid YAML: ${(error as Error).message}`);
+  }
+}
+
+function parseEnvValue(variable: string, raw: string, type: 'string' | 'number' | 'boolean'): any {
+  if (type === 'string') return raw;
+
+  if (type === 'number') {
+    const value = Number(raw);
+    if (Number.isNaN(value)) {
+      throw AIError.configurationError(variable, raw, 'expected a number');
+    }
+    return value;
+  }
+
+  const normalized = raw.toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+  throw AIError.configurationError(variable, raw, 'expected true or false');
+}
+
+function nest(keys: string[], value: any): Record<string, any> {
+  return keys.reduceRight<any>((inner, key) => ({ [key]: inner }), value);
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { renderToolSpecs } from '../adapters/ChatTemplates';
+import { ChatMessage, ToolDefinition } from '../types';
+import { ErrorCode } from '../utils/ErrorHandler';
+import { fitContextWindow } from './ContextWindow';
+
+const countTokens = (text: string) => text.split(/\s+/).filter(Boolean).length;
+
+const system: ChatMessage = { role: 'system', content: 'Be brief.' };
+const first: ChatMessage = { role: 'user', content: 'one two three four five six' };
+const reply: ChatMessage = { role: 'assistant', content: 'six five four three two one' };
+const last: ChatMessage = { role: 'user', content: 'question' };
+const messages = [system, first, reply, last];
+
+describe('fitContextWindow', () => {
+  it('should leave messages untouched when they fit', async () => {
+    const fitted = await fitContextWindow(messages, { contextLength: 31, countTokens });
+
+    expect(fitted.messages).toBe(messages);
+    expect(fitted.report).toEqual({
+      strategy: 'drop-oldest',
+      contextLength: 31,
+      promptTokens: 31,
+      originalPromptTokens: 31,
+      dropped: []
+    });
+  });
+
+  it('should drop the oldest turns but keep system prompts and the latest message', async () => {
+    const fitted = await fitContextWindow(messages, { contextLength: 25, countTokens });
+
+    expect(fitted.messages).toEqual([system, reply, last]);
+    expect(fitted.report.dropped).toEqual([first]);
+    expect(fitted.report.promptTokens).toBe(21);
+    expect(fitted.report.originalPromptTokens).toBe(31);
+  });
+
+  it('should keep only the last messages with keep-last', async () => {
+    const fitted = await fitContextWindow(messages, { contextLength: 30, countTokens, strategy: 'keep-last', keepLastMessages: 1 });
+
+    expect(fitted.messages).toEqual([system, last]);
+    expect(fitted.report.dropped).toEqual([first, reply]);
+  });
+
+  it('should replace dropped turns with a summary', async () => {
+    const question: ChatMessage = { role: 'user', content: 'word '.repeat(80) };
+    const summarize = jest.fn(async () => ' short recap ');
+    const fitted = await fitContextWindow([system, first, reply, question], {
+      contextLength: 105,
+      countTokens,
+      strategy: 'summarize',
+      summaryMaxTokens: 4,
+      summarize
+    });
+
+    expect(summarize).toHaveBeenCalledWith([first, reply], 4);
+    expect(fitted.messages).toEqual([
+      system,
+      { role: 'system', content: 'Summary of the earlier conversation:\nshort recap' },
+      question
+    ]);
+    expect(fitted.report.summary).toBe('short recap');
+    expect(fitted.report.promptTokens).toBe(101);
+  });
+
+  it('should subtract reserveTokens from the budget', async () => {
+    const fitted = await fitContextWindow(messages, { contextLength: 30, reserveTokens: 10, countTokens });
+
+    expect(fitted.messages).toEqual([system, last]);
+  });
+
+  it('should count the rendered tool specs against the budget', async () => {
+    const tools: ToolDefinition[] = [{ name: 'lookup', description: 'Find a record by its name' }];
+    const toolTokens = countTokens(renderToolSpecs(tools));
+
+    const roomy = await fitContextWindow(messages, { contextLength: 31 + toolTokens, countTokens, tools });
+    expect(roomy.report.promptTokens).toBe(31 + toolTokens);
+    expect(roomy.report.dropped).toEqual([]);
+
+    const tight = await fitContextWindow(messages, { contextLength: 30 + toolTokens, countTokens, tools });
+    expect(tight.messages).toEqual([system, reply, last]);
+    expect(tight.report.promptTokens).toBe(21 + toolTokens);
+  });
+
+  it('should count serialized tool calls on assistant messages', async () => {
+    const call: ChatMessage = {
+      role: 'assistant',
+      content: '',
+      toolCalls: [{ id: 'c1', name: 'lookup', arguments: { query: 'a b c' } }]
+    };
+    const fitted = await fitContextWindow([system, call, last], { contextLength: 100, countTokens });
+
+    expect(fitted.report.promptTokens).toBe(6 + 7 + 5);
+  });
+
+  it('should throw CONTEXT_LENGTH_EXCEEDED when the required messages do not fit', async () => {
+    await expect(fitContextWindow(messages, { contextLength: 20, reserveTokens: 10, countTokens })).rejects.toMatchObject({
+      code: ErrorCode.CONTEXT_LENGTH_EXCEEDED,
+      details: { requiredTokens: 11, availableTokens: 10 }
+    });
+  });
+});
\ No newline at end of file
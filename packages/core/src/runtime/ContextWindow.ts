@@ -0,0 +1,116 @@
+import { ChatMessage, ContextWindowOptions, ContextWindowReport, ToolDefinition } from '../types';
+import { renderToolSpecs } from '../adapters/ChatTemplates';
+import { AIError } from '../utils/ErrorHandler';
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_PROMPT_TOKENS = 64;
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+export interface FitContextOptions extends ContextWindowOptions {
+  contextLength: number;
+  countTokens(text: string): number;
+  tools?: ToolDefinition[];
+  summarize?(messages: ChatMessage[], maxTokens: number): Promise<string>;
+}
+
+export interface FittedContext {
+  messages: ChatMessage[];
+  report: ContextWindowReport;
+}
+
+export async function fitContextWindow(messages: ChatMessage[], options: FitContextOptions): Promise<FittedContext> {
+  const strategy = options.strategy || 'drop-oldest';
+  const count = (message: ChatMessage) => options.countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS +
+    (message.toolCalls?.length ? options.countTokens(serializeToolCalls(message)) : 0);
+  const tokens = messages.map(count);
+  const toolTokens = options.tools?.length ? options.countTokens(renderToolSpecs(options.tools)) : 0;
+  const total = tokens.reduce((sum, value) => sum + value, toolTokens);
+  const budget = options.contextLength - (options.reserveTokens ?? 0);
+
+  const report: ContextWindowReport = {
+    strategy,
+    contextLength: options.contextLength,
+    promptTokens: total,
+    originalPromptTokens: total,
+    dropped: []
+  };
+
+  if (total <= budget) {
+    return { messages, report };
+  }
+
+  const last = messages.length - 1;
+  const droppable = messages
+    .map((message, index) => index)
+    .filter(index => messages[index].role !== 'system' && index !== last);
+
+  const dropped = new Set<number>();
+  let remaining = total;
+  const drop = (index: number) => {
+    dropped.add(index);
+    remaining -= tokens[index];
+  };
+
+  if (strategy === 'keep-last') {
+    const keep = Math.max(1, options.keepLastMessages ?? 4);
+    droppable.slice(0, Math.max(0, droppable.length + 1 - keep)).forEach(drop);
+  }
+
+  const summaryMaxTokens = options.summaryMaxTokens ?? 256;
+  const summaryTokens = strategy === 'summarize'
+    ? summaryMaxTokens + options.countTokens(SUMMARY_PREFIX) + MESSAGE_OVERHEAD_TOKENS
+    : 0;
+
+  for (const index of droppable) {
+    if (remaining + summaryTokens <= budget) break;
+    if (!dropped.has(index)) drop(index);
+  }
+
+  if (remaining > budget) {
+    throw AIError.contextLengthExceeded(remaining, budget);
+  }
+
+  report.dropped = messages.filter((message, index) => dropped.has(index));
+
+  let summaryMessage: ChatMessage | undefined;
+  if (strategy === 'summarize' && options.summarize && remaining + summaryTokens <= budget) {
+    const source = latestWithin(report.dropped, count, options.contextLength - summaryMaxTokens - SUMMARY_PROMPT_TOKENS);
+    report.summary = (await options.summarize(source, summaryMaxTokens)).trim();
+    summaryMessage = { role: 'system', content: `${SUMMARY_PREFIX}\n${report.summary}` };
+    remaining += count(summaryMessage);
+  }
+
+  const fitted: ChatMessage[] = [];
+  messages.forEach((message, index) => {
+    if (!dropped.has(index)) {
+      fitted.push(message);
+    } else if (summaryMessage) {
+      fitted.push(summaryMessage);
+      summaryMessage = undefined;
+    }
+  });
+
+  report.promptTokens = remaining;
+  return { messages: fitted, report };
+}
+
+function serializeToolCalls(message: ChatMessage): string {
+  return JSON.stringify(message.toolCalls!.map(call => ({ name: call.name, arguments: call.arguments })));
+}
+
+function latestWithin(
+  messages: ChatMessage[],
+  count: (message: ChatMessage) => number,
+  budget: number
+): ChatMessage[] {
+  const selected: ChatMessage[] = [];
+  let used = 0;
+
+  for (let index = messages.length - 1; index >= 0; index--) {
+    used += count(messages[index]);
+    if (used > budget && selected.length > 0) break;
+    selected.unshift(messages[index]);
+  }
+
+  return selected;
+}
\ No newline at end of file
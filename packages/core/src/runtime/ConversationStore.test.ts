@@ -0,0 +1,100 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ErrorCode } from '../utils/ErrorHandler';
+import { ConversationManager, FileConversationStore } from './ConversationStore';
+
+describe('FileConversationStore', () => {
+  let directory: string;
+  let store: FileConversationStore;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'idgaf-conversations-'));
+    store = new FileConversationStore(directory);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should round-trip a conversation and restore message timestamps', async () => {
+    const timestamp = new Date('2026-01-01T00:00:00.000Z');
+    await store.save({
+      id: 'a/b',
+      messages: [{ role: 'user', content: 'hi', timestamp }],
+      createdAt: timestamp.toISOString(),
+      updatedAt: timestamp.toISOString()
+    });
+
+    const conversation = await store.get('a/b');
+    expect(conversation?.messages[0].timestamp).toEqual(timestamp);
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('should return null for a missing conversation', async () => {
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  it('should throw CONVERSATION_CORRUPTED for invalid JSON', async () => {
+    await fs.promises.writeFile(path.join(directory, 'broken.json'), '{"id": "broken", "messages": [');
+
+    await expect(store.get('broken')).rejects.toMatchObject({ code: ErrorCode.CONVERSATION_CORRUPTED });
+  });
+
+  it('should skip unreadable files in list and report them through onError', async () => {
+    const errors: unknown[] = [];
+    store = new FileConversationStore(directory, { onError: error => errors.push(error) });
+    const now = new Date().toISOString();
+    await store.save({ id: 'ok', messages: [], createdAt: now, updatedAt: now });
+    await fs.promises.writeFile(path.join(directory, 'broken.json'), '{"id": "broken", "messages": [');
+    await fs.promises.mkdir(path.join(directory, 'folder.json'));
+
+    expect((await store.list()).map(conversation => conversation.id)).toEqual(['ok']);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ code: ErrorCode.CONVERSATION_CORRUPTED }),
+      expect.objectContaining({ code: ErrorCode.CONVERSATION_STORE_FAILED, cause: expect.objectContaining({ code: 'EISDIR' }) })
+    ]));
+    expect(errors).toHaveLength(2);
+  });
+
+  it('should wrap filesystem failures in AIError and keep the cause', async () => {
+    await fs.promises.mkdir(path.join(directory, 'folder.json'));
+    const file = path.join(directory, 'file');
+    await fs.promises.writeFile(file, '');
+
+    await expect(store.get('folder')).rejects.toMatchObject({
+      code: ErrorCode.CONVERSATION_STORE_FAILED,
+      cause: expect.objectContaining({ code: 'EISDIR' })
+    });
+    await expect(store.delete('folder')).rejects.toMatchObject({ code: ErrorCode.CONVERSATION_STORE_FAILED });
+    await expect(new FileConversationStore(file).list()).rejects.toMatchObject({
+      code: ErrorCode.CONVERSATION_STORE_FAILED,
+      cause: expect.objectContaining({ code: 'ENOTDIR' })
+    });
+  });
+
+  it('should throw CONVERSATION_CORRUPTED when the messages array is missing', async () => {
+    await fs.promises.writeFile(path.join(directory, 'empty.json'), '{"id": "empty"}');
+
+    await expect(store.get('empty')).rejects.toMatchObject({
+      code: ErrorCode.CONVERSATION_CORRUPTED,
+      details: { cause: 'missing messages array' }
+    });
+  });
+});
+
+describe('ConversationManager', () => {
+  it('should hold other writers on the same id until a lock is released', async () => {
+    const manager = new ConversationManager();
+    const session = await manager.lock('c');
+    const appended = manager.append('c', [{ role: 'user', content: 'later' }]);
+
+    await session.append([{ role: 'user', content: 'first' }]);
+    await new Promise(resolve => setImmediate(resolve));
+    expect((await manager.get('c'))?.messages.map(message => message.content)).toEqual(['first']);
+
+    session.release();
+    await appended;
+    expect((await manager.get('c'))?.messages.map(message => message.content)).toEqual(['first', 'later']);
+  });
+});
\ No newline at end of file
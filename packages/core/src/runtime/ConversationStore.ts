@@ -0,0 +1,284 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  ChatMessage,
+  Conversation,
+  ConversationLock,
+  ConversationStore,
+  ConversationSummary
+} from '../types';
+import { AIError } from '../utils/ErrorHandler';
+import { Logger } from '../utils/Logger';
+
+function cloneConversation(conversation: Conversation): Conversation {
+  return {
+    ...conversation,
+    messages: conversation.messages.map(message => ({ ...message })),
+    metadata: conversation.metadata ? { ...conversation.metadata } : undefined
+  };
+}
+
+export class InMemoryConversationStore implements ConversationStore {
+  private conversations = new Map<string, Conversation>();
+
+  async get(id: string): Promise<Conversation | null> {
+    const conversation = this.conversations.get(id);
+    return conversation ? cloneConversation(conversation) : null;
+  }
+
+  async save(conversation: Conversation): Promise<void> {
+    this.conversations.set(conversation.id, cloneConversation(conversation));
+  }
+
+  async delete(id: string): Promise<boolean> {
+    return this.conversations.delete(id);
+  }
+
+  async list(): Promise<Conversation[]> {
+    return Array.from(this.conversations.values()).map(cloneConversation);
+  }
+}
+
+export class FileConversationStore implements ConversationStore {
+  private directory: string;
+  private onError?: (error: AIError) => void;
+
+  constructor(directory: string, options: { logger?: Logger; onError?: (error: AIError) => void } = {}) {
+    this.directory = directory;
+    this.onError = options.onError
+      ?? (options.logger && (error => options.logger!.warn('Skipping unreadable conversation file', { error })));
+  }
+
+  async get(id: string): Promise<Conversation | null> {
+    return this.readFile(this.getPath(id));
+  }
+
+  async save(conversation: Conversation): Promise<void> {
+    const filePath = this.getPath(conversation.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      throw AIError.conversationStoreFailed('write', filePath, error as Error);
+    }
+  }
+
+  async delete(id: string): Promise<boolean> {
+    const filePath = this.getPath(id);
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return false;
+      throw AIError.conversationStoreFailed('delete', filePath, error as Error);
+    }
+  }
+
+  async list(): Promise<Conversation[]> {
+    let files: string[];
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw AIError.conversationStoreFailed('list', this.directory, error as Error);
+    }
+
+    const conversations: Conversation[] = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const conversation = await this.readFile(path.join(this.directory, file));
+        if (conversation) conversations.push(conversation);
+      } catch (error) {
+        this.onError?.(error as AIError);
+      }
+    }
+    return conversations;
+  }
+
+  private getPath(id: string): string {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  private async readFile(filePath: string): Promise<Conversation | null> {
+    let text: string;
+    try {
+      text = await fs.promises.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw AIError.conversationStoreFailed('read', filePath, error as Error);
+    }
+
+    let conversation: Conversation;
+    try {
+      conversation = JSON.parse(text) as Conversation;
+    } catch (error) {
+      throw AIError.conversationCorrupted(filePath, error as Error);
+    }
+    if (!conversation || !Array.isArray(conversation.messages)) {
+      throw AIError.conversationCorrupted(filePath, new Error('missing messages array'));
+    }
+
+    conversation.messages = conversation.messages.map(message => ({
+      ...message,
+      timestamp: message.timestamp ? new Date(message.timestamp) : undefined
+    }));
+    return conversation;
+  }
+}
+
+export class ConversationManager {
+  private store: ConversationStore;
+  private locks = new Map<string, Promise<unknown>>();
+
+  constructor(store: ConversationStore = new InMemoryConversationStore()) {
+    this.store = store;
+  }
+
+  async get(id: string): Promise<Conversation | null> {
+    return this.store.get(id);
+  }
+
+  async list(): Promise<ConversationSummary[]> {
+    const conversations = await this.store.list();
+    return conversations
+      .map(conversation => ({
+        id: conversation.id,
+        messageCount: conversation.messages.length,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        parentId: conversation.parentId
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async create(options: { id?: string; messages?: ChatMessage[]; metadata?: Record<string, any> } = {}): Promise<Conversation> {
+    const id = options.id || this.createId();
+
+    return this.withLock(id, async () => {
+      if (await this.store.get(id)) {
+        throw AIError.configurationError('conversationId', id, 'a conversation with this id already exists');
+      }
+
+      const now = new Date().toISOString();
+      const conversation: Conversation = {
+        id,
+        messages: (options.messages || []).map(stamp),
+        createdAt: now,
+        updatedAt: now,
+        metadata: options.metadata
+      };
+      await this.store.save(conversation);
+      return conversation;
+    });
+  }
+
+  async append(id: string, messages: ChatMessage[]): Promise<Conversation> {
+    return this.withLock(id, () => this.write(id, messages));
+  }
+
+  async lock(id: string): Promise<ConversationLock> {
+    let release!: () => void;
+    const released = new Promise<void>(resolve => { release = resolve; });
+    let acquired!: () => void;
+    const ready = new Promise<void>(resolve => { acquired = resolve; });
+    this.withLock(id, () => {
+      acquired();
+      return released;
+    });
+    await ready;
+
+    try {
+      return {
+        conversation: await this.store.get(id),
+        append: messages => this.write(id, messages),
+        release
+      };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  async fork(id: string, options: { id?: string; messageCount?: number } = {}): Promise<Conversation> {
+    const source = await this.require(id);
+    const forkId = options.id || this.createId();
+    const messages = options.messageCount === undefined
+      ? source.messages
+      : source.messages.slice(0, Math.max(0, options.messageCount));
+
+    return this.withLock(forkId, async () => {
+      if (await this.store.get(forkId)) {
+        throw AIError.configurationError('conversationId', forkId, 'a conversation with this id already exists');
+      }
+
+      const now = new Date().toISOString();
+      const conversation: Conversation = {
+        id: forkId,
+        messages,
+        createdAt: now,
+        updatedAt: now,
+        parentId: source.id,
+        metadata: source.metadata
+      };
+      await this.store.save(conversation);
+      return conversation;
+    });
+  }
+
+  async truncate(id: string, messageCount: number): Promise<Conversation> {
+    return this.withLock(id, async () => {
+      const conversation = await this.require(id);
+      conversation.messages = conversation.messages.slice(0, Math.max(0, messageCount));
+      conversation.updatedAt = new Date().toISOString();
+      await this.store.save(conversation);
+      return conversation;
+    });
+  }
+
+  async delete(id: string): Promise<boolean> {
+    return this.withLock(id, () => this.store.delete(id));
+  }
+
+  private async write(id: string, messages: ChatMessage[]): Promise<Conversation> {
+    const now = new Date().toISOString();
+    const conversation = await this.store.get(id) || { id, messages: [], createdAt: now, updatedAt: now };
+
+    conversation.messages.push(...messages.map(stamp));
+    conversation.updatedAt = now;
+    await this.store.save(conversation);
+    return conversation;
+  }
+
+  private async require(id: string): Promise<Conversation> {
+    const conversation = await this.store.get(id);
+    if (!conversation) {
+      throw AIError.conversationNotFound(id);
+    }
+    return conversation;
+  }
+
+  private async withLock<T>(id: string, operation: () => Promise<T>): Promise<T> {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => undefined).then(operation);
+    this.locks.set(id, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(id) === current) {
+        this.locks.delete(id);
+      }
+    }
+  }
+
+  private createId(): string {
+    return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+function stamp(message: ChatMessage): ChatMessage {
+  return message.timestamp ? { ...message } : { ...message, timestamp: new Date() };
+}
\ No newline at end of file
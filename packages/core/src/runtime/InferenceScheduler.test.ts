@@ -0,0 +1,81 @@
+import { ErrorCode } from '../utils/ErrorHandler';
+import { InferenceScheduler, SchedulerSlot } from './InferenceScheduler';
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InferenceScheduler', () => {
+  it('should serve waiting requests by priority and in arrival order within a priority', async () => {
+    const scheduler = new InferenceScheduler();
+    const first = await scheduler.acquire('m');
+    const order: string[] = [];
+
+    const waiting = (['low', 'normal', 'high', 'normal', 5] as const).map((priority, index) =>
+      scheduler.acquire('m', { priority }).then(slot => {
+        order.push(`${priority}#${index}`);
+        slot.release();
+      })
+    );
+
+    first.release();
+    await Promise.all(waiting);
+
+    expect(order).toEqual(['high#2', '5#4', 'normal#1', 'normal#3', 'low#0']);
+  });
+
+  it('should apply concurrency per model and let other models run alongside', async () => {
+    const scheduler = new InferenceScheduler({ concurrency: 1 });
+    await scheduler.acquire('a');
+
+    const other = await scheduler.acquire('b');
+    let queued = false;
+    scheduler.acquire('a').then(() => { queued = true; });
+    await settle();
+
+    expect(other).toBeDefined();
+    expect(queued).toBe(false);
+    expect(scheduler.getQueueStats('a')).toEqual({ active: 1, waiting: 1 });
+  });
+
+  it('should take per-model overrides by model id or alias', async () => {
+    const scheduler = new InferenceScheduler({
+      concurrency: 1,
+      models: { 'llama-7b': { concurrency: 2 }, coder: { concurrency: 3 } }
+    });
+
+    await Promise.all([scheduler.acquire('llama-7b'), scheduler.acquire('llama-7b')]);
+    await Promise.all([1, 2, 3].map(() => scheduler.acquire('qwen', { alias: 'coder' })));
+
+    expect(scheduler.getQueueStats('llama-7b')).toEqual({ active: 2, waiting: 0 });
+    expect(scheduler.getQueueStats('qwen')).toEqual({ active: 3, waiting: 0 });
+  });
+
+  it('should reject with QUEUE_FULL once maxQueueLength requests are waiting', async () => {
+    const scheduler = new InferenceScheduler({ maxQueueLength: 1, models: { m: { maxQueueLength: 2 } } });
+    await scheduler.acquire('m');
+    scheduler.acquire('m');
+    scheduler.acquire('m');
+
+    await expect(scheduler.acquire('m')).rejects.toMatchObject({
+      code: ErrorCode.QUEUE_FULL,
+      details: { queue: 'm', maxQueueLength: 2 }
+    });
+    expect(scheduler.getQueueStats('m')).toEqual({ active: 1, waiting: 2 });
+  });
+
+  it('should drain once every slot is released, ignoring repeated releases', async () => {
+    const scheduler = new InferenceScheduler();
+    const slots: SchedulerSlot[] = [await scheduler.acquire('a'), await scheduler.acquire('b')];
+    let drained = false;
+    const draining = scheduler.drain().then(() => { drained = true; });
+
+    slots[0].release();
+    slots[0].release();
+    await settle();
+    expect(drained).toBe(false);
+    expect(scheduler.getQueueStats('a')).toEqual({ active: 0, waiting: 0 });
+
+    slots[1].release();
+    await draining;
+    expect(drained).toBe(true);
+  });
+});
\ No newline at end of file
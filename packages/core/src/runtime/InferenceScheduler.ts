@@ -0,0 +1,76 @@
+import { InferencePriority, SchedulerConfig } from '../types';
+import { BackpressureHandler } from '../utils/StreamingUtils';
+
+const PRIORITY_LEVELS: Record<string, number> = {
+  low: -10,
+  normal: 0,
+  high: 10
+};
+
+export interface SchedulerSlot {
+  waitMs: number;
+  release(): void;
+}
+
+export class InferenceScheduler {
+  private queues = new Map<string, BackpressureHandler>();
+  private config: SchedulerConfig;
+
+  constructor(config: SchedulerConfig = {}) {
+    this.config = config;
+  }
+
+  async acquire(
+    modelId: string,
+    options: { priority?: InferencePriority; signal?: AbortSignal; alias?: string } = {}
+  ): Promise<SchedulerSlot> {
+    const queue = this.getQueue(modelId, options.alias);
+    const startTime = Date.now();
+
+    await queue.acquire(this.resolvePriority(options.priority), options.signal);
+
+    let released = false;
+    return {
+      waitMs: Date.now() - startTime,
+      release: () => {
+        if (released) return;
+        released = true;
+        queue.release();
+      }
+    };
+  }
+
+  getQueueStats(modelId: string): { active: number; waiting: number } {
+    const queue = this.queues.get(modelId);
+    return {
+      active: queue?.pendingCount || 0,
+      waiting: queue?.waitingCount || 0
+    };
+  }
+
+  async drain(): Promise<void> {
+    await Promise.all(Array.from(this.queues.values()).map(queue => queue.whenIdle()));
+  }
+
+  remove(modelId: string): void {
+    this.queues.delete(modelId);
+  }
+
+  private getQueue(modelId: string, alias?: string): BackpressureHandler {
+    let queue = this.queues.get(modelId);
+    if (!queue) {
+      const overrides = this.config.models?.[modelId] || (alias ? this.config.models?.[alias] : undefined) || {};
+      queue = new BackpressureHandler(
+        overrides.concurrency ?? this.config.concurrency ?? 1,
+        overrides.maxQueueLength ?? this.config.maxQueueLength ?? Infinity,
+        alias || modelId
+      );
+      this.queues.set(modelId, queue);
+    }
+    return queue;
+  }
+
+  private resolvePriority(priority: InferencePriority = 'normal'): number {
+    return typeof priority === 'number' ? priority : PRIORITY_LEVELS[priority] ?? 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { LoadedModel } from '../types';
+import { LRUCache } from './LRUCache';
+
+const MB = 1024 * 1024;
+
+const model = (id: string): LoadedModel => ({ id, info: { size: MB } } as unknown as LoadedModel);
+
+describe('LRUCache', () => {
+  it('should skip models that cannot be evicted and free the next oldest instead', async () => {
+    const busy = new Set(['a']);
+    const evicted: string[] = [];
+    const cache = new LRUCache(2, async m => { evicted.push(m.id); }, m => !busy.has(m.id));
+
+    await cache.set('a', model('a'));
+    await cache.set('b', model('b'));
+
+    expect(await cache.ensureCapacity(MB)).toBe(true);
+    expect(evicted).toEqual(['b']);
+    expect(cache.has('a')).toBe(true);
+  });
+
+  it('should report no capacity when every resident model is busy', async () => {
+    const evicted: string[] = [];
+    const cache = new LRUCache(1, async m => { evicted.push(m.id); }, () => false);
+
+    await cache.set('a', model('a'));
+
+    expect(await cache.ensureCapacity(MB)).toBe(false);
+    expect(await cache.prune(-1)).toBe(0);
+    expect(evicted).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -1,12 +1,22 @@
 import { CacheManager, CacheEntry, LoadedModel } from '../types';
+import { AIError } from '../utils/ErrorHandler';
 
 export class LRUCache implements CacheManager {
   private cache = new Map<string, { model: LoadedModel; entry: CacheEntry }>();
+  private pinned = new Set<string>();
   private maxSize: number;
   private currentSize = 0;
-
-  constructor(maxSizeMB: number = 2048) {
+  private onEvict: (model: LoadedModel) => Promise<void>;
+  private canEvict: (model: LoadedModel) => boolean;
+
+  constructor(
+    maxSizeMB: number = 2048,
+    onEvict: (model: LoadedModel) => Promise<void> = model => model.adapter.unloadModel(model.id),
+    canEvict: (model: LoadedModel) => boolean = () => true
+  ) {
     this.maxSize = maxSizeMB * 1024 * 1024;
+    this.onEvict = onEvict;
+    this.canEvict = canEvict;
   }
 
   async get(key: string): Promise<LoadedModel | null> {
@@ -22,15 +32,26 @@ export class LRUCache implements CacheManager {
     return cached.model;
   }
 
-  async set(key: string, model: LoadedModel): Promise<void> {
-    const modelSize = model.info.size;
+  touch(key: string): void {
+    const cached = this.cache.get(key);
+    if (!cached) return;
 
-    while (this.currentSize + modelSize > this.maxSize && this.cache.size > 0) {
-      await this.evictLRU();
-    }
+    cached.entry.lastAccessed = new Date();
+    cached.entry.hitCount++;
+  }
+
+  has(key: string): boolean {
+    return this.cache.has(key);
+  }
 
+  async set(key: string, model: LoadedModel, modelSize: number = model.info.size): Promise<void> {
     if (modelSize > this.maxSize) {
-      throw new Error(`Model size ${modelSize} exceeds cache capacity ${this.maxSize}`);
+      throw AIError.memoryError(this.toMB(modelSize), this.toMB(this.maxSize));
+    }
+
+    const reclaimable = this.cache.get(key)?.entry.size || 0;
+    if (!await this.ensureCapacity(modelSize - reclaimable)) {
+      throw AIError.memoryError(this.toMB(modelSize), this.toMB(this.availableSize));
     }
 
     const entry: CacheEntry = {
@@ -44,7 +65,9 @@ export class LRUCache implements CacheManager {
     if (this.cache.has(key)) {
       const existing = this.cache.get(key)!;
       this.currentSize -= existing.entry.size;
-      await existing.model.adapter.unloadModel(existing.model.id);
+      if (existing.model !== model) {
+        await this.onEvict(existing.model);
+      }
     }
 
     this.cache.set(key, { model, entry });
@@ -55,19 +78,58 @@ export class LRUCache implements CacheManager {
     const cached = this.cache.get(key);
     if (cached) {
       this.currentSize -= cached.entry.size;
-      await cached.model.adapter.unloadModel(cached.model.id);
       this.cache.delete(key);
+      this.pinned.delete(key);
+      await this.onEvict(cached.model);
     }
   }
 
   async clear(): Promise<void> {
-    const promises = Array.from(this.cache.values()).map(
-      cached => cached.model.adapter.unloadModel(cached.model.id)
-    );
-
-    await Promise.allSettled(promises);
+    const models = Array.from(this.cache.values()).map(cached => cached.model);
     this.cache.clear();
+    this.pinned.clear();
     this.currentSize = 0;
+
+    await Promise.allSettled(models.map(model => this.onEvict(model)));
+  }
+
+  pin(key: string): void {
+    if (this.cache.has(key)) {
+      this.pinned.add(key);
+    }
+  }
+
+  unpin(key: string): void {
+    this.pinned.delete(key);
+  }
+
+  isPinned(key: string): boolean {
+    return this.pinned.has(key);
+  }
+
+  resize(maxSizeMB: number): void {
+    this.maxSize = maxSizeMB * 1024 * 1024;
+  }
+
+  get capacity(): number {
+    return this.maxSize;
+  }
+
+  get usedSize(): number {
+    return this.currentSize;
+  }
+
+  get availableSize(): number {
+    return Math.max(0, this.maxSize - this.currentSize);
+  }
+
+  async ensureCapacity(size: number): Promise<boolean> {
+    while (this.currentSize + size > this.maxSize) {
+      if (!await this.evictLRU()) {
+        return false;
+      }
+    }
+    return true;
   }
 
   async getStats(): Promise<{ totalSize: number; entryCount: number; hitRate: number }> {
@@ -84,11 +146,12 @@ export class LRUCache implements CacheManager {
     };
   }
 
-  private async evictLRU(): Promise<void> {
+  private async evictLRU(): Promise<boolean> {
     let oldestKey: string | null = null;
     let oldestTime: Date | null = null;
 
     for (const [key, cached] of this.cache.entries()) {
+      if (this.pinned.has(key) || !this.canEvict(cached.model)) continue;
       if (!oldestTime || cached.entry.lastAccessed < oldestTime) {
         oldestTime = cached.entry.lastAccessed;
         oldestKey = key;
@@ -97,7 +160,13 @@ export class LRUCache implements CacheManager {
 
     if (oldestKey) {
       await this.delete(oldestKey);
+      return true;
     }
+    return false;
+  }
+
+  private toMB(bytes: number): number {
+    return Math.round(bytes / (1024 * 1024));
   }
 
   getEntries(): CacheEntry[] {
@@ -109,6 +178,7 @@ export class LRUCache implements CacheManager {
     const keysToDelete: string[] = [];
 
     for (const [key, cached] of this.cache.entries()) {
+      if (this.pinned.has(key) || !this.canEvict(cached.model)) continue;
       const age = now.getTime() - cached.entry.lastAccessed.getTime();
       if (age > maxAge) {
         keysToDelete.push(key);
@@ -0,0 +1,77 @@
+import { AIError } from '../utils/ErrorHandler';
+import { MetricsCollector, RollingHistogram } from './MetricsCollector';
+
+function histogram(values: number[], windowSize?: number): RollingHistogram {
+  const result = new RollingHistogram(windowSize);
+  values.forEach(value => result.record(value));
+  return result;
+}
+
+describe('RollingHistogram', () => {
+  it('should use nearest-rank percentiles', () => {
+    const hundred = histogram(Array.from({ length: 100 }, (_, index) => 100 - index));
+    expect([hundred.percentile(50), hundred.percentile(90), hundred.percentile(99), hundred.percentile(100)])
+      .toEqual([50, 90, 99, 100]);
+
+    const four = histogram([40, 10, 30, 20]);
+    expect([four.percentile(0), four.percentile(25), four.percentile(50), four.percentile(90)]).toEqual([10, 10, 20, 40]);
+  });
+
+  it('should report zeros when empty and ignore non-finite samples', () => {
+    const empty = histogram([NaN, Infinity]);
+
+    expect(empty.summary()).toEqual({ count: 0, sum: 0, min: 0, max: 0, mean: 0, p50: 0, p90: 0, p99: 0 });
+  });
+
+  it('should evict the oldest samples from the window but keep lifetime count and sum', () => {
+    const summary = histogram([100, 1, 2, 3, 4], 3).summary();
+
+    expect(summary).toEqual({ count: 5, sum: 110, min: 2, max: 4, mean: 3, p50: 3, p90: 4, p99: 4 });
+  });
+});
+
+describe('MetricsCollector', () => {
+  it('should aggregate requests, errors and token throughput per model and task', () => {
+    const metrics = new MetricsCollector();
+    metrics.record('m', 'generate', { latencyMs: 1000, timeToFirstTokenMs: 100, interTokenLatenciesMs: [10, 30], completionTokens: 20 });
+    metrics.record('m', 'generate', { latencyMs: 500, error: AIError.timeoutError('generate', 500) });
+    metrics.record('m', 'embed', { latencyMs: 5, queueWaitMs: 2 });
+
+    const report = metrics.getReport(new Map([['m', 'chat']])).models.m;
+    const { generate, embed } = report.operations;
+
+    expect(report.alias).toBe('chat');
+
+    expect(generate).toMatchObject({
+      requests: 2,
+      errors: 1,
+      errorsByCode: { TIMEOUT_ERROR: 1 },
+      completionTokens: 20,
+      tokensPerSecond: 20,
+      latencyMs: { count: 2, min: 500, max: 1000 },
+      interTokenLatencyMs: { count: 2, mean: 20 }
+    });
+    expect(embed).toMatchObject({ requests: 1, queueWaitMs: { count: 1, p50: 2 } });
+    expect(embed!.timeToFirstTokenMs).toBeUndefined();
+    expect(embed!.tokensPerSecond).toBeUndefined();
+  });
+
+  it('should apply its window size to every histogram', () => {
+    const metrics = new MetricsCollector(2);
+    [300, 10, 20].forEach(latencyMs => metrics.record('m', 'classify', { latencyMs }));
+
+    expect(metrics.getReport().models.m.operations.classify!.latencyMs).toMatchObject({ count: 3, max: 20, p99: 20 });
+  });
+
+  it('should reset one model or everything', () => {
+    const metrics = new MetricsCollector();
+    metrics.record('a', 'embed', { latencyMs: 1 });
+    metrics.record('b', 'embed', { latencyMs: 1 });
+
+    metrics.reset('a');
+    expect(Object.keys(metrics.getReport().models)).toEqual(['b']);
+
+    metrics.reset();
+    expect(metrics.getReport().models).toEqual({});
+  });
+});
\ No newline at end of file
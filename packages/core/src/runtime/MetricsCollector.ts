@@ -0,0 +1,204 @@
+import {
+  InferenceTask,
+  LatencySummary,
+  OperationMetrics,
+  PerformanceReport
+} from '../types';
+
+export class RollingHistogram {
+  private samples: number[] = [];
+  private windowSize: number;
+  private total = 0;
+  private totalSum = 0;
+
+  constructor(windowSize = 1000) {
+    this.windowSize = windowSize;
+  }
+
+  record(value: number): void {
+    if (!Number.isFinite(value)) return;
+
+    this.samples.push(value);
+    this.total++;
+    this.totalSum += value;
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+  }
+
+  get count(): number {
+    return this.total;
+  }
+
+  percentile(p: number): number {
+    if (this.samples.length === 0) return 0;
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+  }
+
+  summary(): LatencySummary {
+    if (this.samples.length === 0) {
+      return { count: this.total, sum: this.totalSum, min: 0, max: 0, mean: 0, p50: 0, p90: 0, p99: 0 };
+    }
+
+    const sum = this.samples.reduce((acc, value) => acc + value, 0);
+    return {
+      count: this.total,
+      sum: this.totalSum,
+      min: Math.min(...this.samples),
+      max: Math.max(...this.samples),
+      mean: sum / this.samples.length,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p99: this.percentile(99)
+    };
+  }
+}
+
+interface OperationState {
+  requests: number;
+  errors: number;
+  errorsByCode: Record<string, number>;
+  promptTokens: number;
+  completionTokens: number;
+  generationTimeMs: number;
+  latency: RollingHistogram;
+  queueWait: RollingHistogram;
+  timeToFirstToken: RollingHistogram;
+  interTokenLatency: RollingHistogram;
+}
+
+export interface OperationSample {
+  latencyMs: number;
+  queueWaitMs?: number;
+  timeToFirstTokenMs?: number;
+  interTokenLatenciesMs?: number[];
+  promptTokens?: number;
+  completionTokens?: number;
+  error?: Error;
+}
+
+export class MetricsCollector {
+  private models = new Map<string, Map<InferenceTask, OperationState>>();
+  private windowSize: number;
+  private since = new Date();
+
+  constructor(windowSize = 1000) {
+    this.windowSize = windowSize;
+  }
+
+  record(modelId: string, task: InferenceTask, sample: OperationSample): void {
+    const state = this.getState(modelId, task);
+
+    state.requests++;
+    state.latency.record(sample.latencyMs);
+
+    if (sample.queueWaitMs !== undefined) {
+      state.queueWait.record(sample.queueWaitMs);
+    }
+    if (sample.timeToFirstTokenMs !== undefined) {
+      state.timeToFirstToken.record(sample.timeToFirstTokenMs);
+    }
+    for (const gap of sample.interTokenLatenciesMs || []) {
+      state.interTokenLatency.record(gap);
+    }
+
+    state.promptTokens += sample.promptTokens || 0;
+    state.completionTokens += sample.completionTokens || 0;
+    if (sample.completionTokens) {
+      state.generationTimeMs += sample.latencyMs;
+    }
+
+    if (sample.error) {
+      const code = (sample.error as any).code || 'UNKNOWN';
+      state.errors++;
+      state.errorsByCode[code] = (state.errorsByCode[code] || 0) + 1;
+    }
+  }
+
+  getReport(aliases: Map<string, string | undefined> = new Map()): PerformanceReport {
+    const report: PerformanceReport = {
+      since: this.since.toISOString(),
+      generatedAt: new Date().toISOString(),
+      models: {}
+    };
+
+    for (const [modelId, operations] of this.models) {
+      const entry: PerformanceReport['models'][string] = {
+        modelId,
+        alias: aliases.get(modelId),
+        operations: {}
+      };
+
+      for (const [task, state] of operations) {
+        entry.operations[task] = this.summarize(state);
+      }
+
+      report.models[modelId] = entry;
+    }
+
+    return report;
+  }
+
+  reset(modelId?: string): void {
+    if (modelId) {
+      this.models.delete(modelId);
+    } else {
+      this.models.clear();
+      this.since = new Date();
+    }
+  }
+
+  private summarize(state: OperationState): OperationMetrics {
+    const metrics: OperationMetrics = {
+      requests: state.requests,
+      errors: state.errors,
+      errorsByCode: { ...state.errorsByCode },
+      promptTokens: state.promptTokens,
+      completionTokens: state.completionTokens,
+      latencyMs: state.latency.summary(),
+      queueWaitMs: state.queueWait.summary()
+    };
+
+    if (state.timeToFirstToken.count > 0) {
+      metrics.timeToFirstTokenMs = state.timeToFirstToken.summary();
+    }
+    if (state.interTokenLatency.count > 0) {
+      metrics.interTokenLatencyMs = state.interTokenLatency.summary();
+    }
+    if (state.generationTimeMs > 0) {
+      metrics.tokensPerSecond = state.completionTokens / (state.generationTimeMs / 1000);
+    }
+
+    return metrics;
+  }
+
+  private getState(modelId: string, task: InferenceTask): OperationState {
+    let operations = this.models.get(modelId);
+    if (!operations) {
+      operations = new Map();
+      this.models.set(modelId, operations);
+    }
+
+    let state = operations.get(task);
+    if (!state) {
+      state = {
+        requests: 0,
+        errors: 0,
+        errorsByCode: {},
+        promptTokens: 0,
+        completionTokens: 0,
+        generationTimeMs: 0,
+        latency: new RollingHistogram(this.windowSize),
+        queueWait: new RollingHistogram(this.windowSize),
+        timeToFirstToken: new RollingHistogram(this.windowSize),
+        interTokenLatency: new RollingHistogram(this.windowSize)
+      };
+      operations.set(task, state);
+    }
+
+    return state;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,127 @@
+import { LatencySummary, MetricsSnapshot } from '../types';
+import { renderOpenMetrics } from './MetricsExporter';
+
+const summary = (values: number[]): LatencySummary => ({
+  count: values.length,
+  sum: values.reduce((total, value) => total + value, 0),
+  min: Math.min(...values),
+  max: Math.max(...values),
+  mean: values.reduce((total, value) => total + value, 0) / values.length,
+  p50: values[0],
+  p90: values[values.length - 1],
+  p99: values[values.length - 1]
+});
+
+const emptySnapshot: MetricsSnapshot = {
+  models: [],
+  report: { since: '2026-01-01T00:00:00.000Z', generatedAt: '2026-01-01T00:01:00.000Z', models: {} },
+  memory: { loadedBytes: 0, usedBytes: 0, limitBytes: 1024 },
+  cache: { totalSize: 2048, fileCount: 1 }
+};
+
+describe('renderOpenMetrics', () => {
+  it('should render only families that have samples', () => {
+    expect(renderOpenMetrics(emptySnapshot)).toBe([
+      '# TYPE idgaf_memory_loaded_bytes gauge',
+      '# UNIT idgaf_memory_loaded_bytes bytes',
+      '# HELP idgaf_memory_loaded_bytes Total size of models held by the registry.',
+      'idgaf_memory_loaded_bytes 0',
+      '# TYPE idgaf_memory_used_bytes gauge',
+      '# UNIT idgaf_memory_used_bytes bytes',
+      '# HELP idgaf_memory_used_bytes Memory reserved by resident models.',
+      'idgaf_memory_used_bytes 0',
+      '# TYPE idgaf_memory_limit_bytes gauge',
+      '# UNIT idgaf_memory_limit_bytes bytes',
+      '# HELP idgaf_memory_limit_bytes Configured memory limit for resident models.',
+      'idgaf_memory_limit_bytes 1024',
+      '# TYPE idgaf_cache_size_bytes gauge',
+      '# UNIT idgaf_cache_size_bytes bytes',
+      '# HELP idgaf_cache_size_bytes Size of the on-disk model cache.',
+      'idgaf_cache_size_bytes 2048',
+      '# TYPE idgaf_cache_files gauge',
+      '# HELP idgaf_cache_files Files in the on-disk model cache.',
+      'idgaf_cache_files 1',
+      '# EOF',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render per-model gauges, counters and summaries', () => {
+    const output = renderOpenMetrics({
+      ...emptySnapshot,
+      models: [{
+        modelId: 'gguf_1',
+        alias: 'chat',
+        format: 'gguf',
+        type: 'llm',
+        sizeBytes: 4096,
+        pinned: true,
+        queue: { active: 1, waiting: 2 },
+        performance: { inferenceTimeMs: 1500, memoryUsageMB: 1, tokensPerSecond: 20 }
+      }],
+      report: {
+        ...emptySnapshot.report,
+        models: {
+          gguf_1: {
+            modelId: 'gguf_1',
+            alias: 'chat',
+            operations: {
+              generate: {
+                requests: 3,
+                errors: 1,
+                errorsByCode: { INFERENCE_FAILED: 1 },
+                promptTokens: 30,
+                completionTokens: 90,
+                latencyMs: summary([100, 200, 300]),
+                queueWaitMs: summary([0, 0, 10]),
+                timeToFirstTokenMs: summary([50, 60, 70])
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const lines = output.split('\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'idgaf_model{model="gguf_1",alias="chat",format="gguf",type="llm"} 1',
+      'idgaf_model_size_bytes{model="gguf_1",alias="chat"} 4096',
+      'idgaf_model_pinned{model="gguf_1",alias="chat"} 1',
+      'idgaf_queue_active_requests{model="gguf_1",alias="chat"} 1',
+      'idgaf_queue_waiting_requests{model="gguf_1",alias="chat"} 2',
+      'idgaf_last_inference_seconds{model="gguf_1",alias="chat"} 1.5',
+      'idgaf_model_memory_bytes{model="gguf_1",alias="chat"} 1048576',
+      '# TYPE idgaf_requests counter',
+      'idgaf_requests_total{model="gguf_1",alias="chat",operation="generate"} 3',
+      'idgaf_errors_total{model="gguf_1",alias="chat",operation="generate",code="INFERENCE_FAILED"} 1',
+      'idgaf_completion_tokens_total{model="gguf_1",alias="chat",operation="generate"} 90',
+      '# TYPE idgaf_request_duration_seconds summary',
+      'idgaf_request_duration_seconds{model="gguf_1",alias="chat",operation="generate",quantile="0.5"} 0.1',
+      'idgaf_request_duration_seconds_sum{model="gguf_1",alias="chat",operation="generate"} 0.6',
+      'idgaf_request_duration_seconds_count{model="gguf_1",alias="chat",operation="generate"} 3',
+      'idgaf_time_to_first_token_seconds_count{model="gguf_1",alias="chat",operation="generate"} 3'
+    ]));
+    expect(output).not.toContain('idgaf_inter_token_latency_seconds');
+    expect(output.endsWith('# EOF\n')).toBe(true);
+  });
+
+  it('should escape label values and omit undefined labels', () => {
+    const output = renderOpenMetrics({
+      ...emptySnapshot,
+      models: [{
+        modelId: 'a "quoted"\\path\nname',
+        format: 'onnx',
+        type: 'vision',
+        sizeBytes: 1,
+        pinned: false,
+        queue: { active: 0, waiting: 0 }
+      }]
+    });
+
+    expect(output).toContain('idgaf_model_pinned{model="a \\"quoted\\"\\\\path\\nname"} 0');
+  });
+
+  it('should use the given prefix', () => {
+    expect(renderOpenMetrics(emptySnapshot, 'app')).toContain('app_cache_files 1\n');
+  });
+});
\ No newline at end of file
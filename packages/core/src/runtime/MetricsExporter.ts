@@ -0,0 +1,167 @@
+import { IncomingMessage, ServerResponse } from 'http';
+import { LatencySummary, MetricsSnapshot } from '../types';
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+export interface MetricsSource {
+  getMetricsSnapshot(): MetricsSnapshot;
+}
+
+type Labels = Record<string, string | undefined>;
+
+class MetricFamily {
+  private samples: string[] = [];
+
+  constructor(
+    private readonly name: string,
+    private readonly type: 'gauge' | 'counter' | 'summary',
+    private readonly help: string,
+    private readonly unit?: string
+  ) {}
+
+  add(value: number, labels: Labels = {}, suffix = ''): void {
+    if (Number.isNaN(value)) return;
+    this.samples.push(`${this.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  addSummary(summary: LatencySummary, labels: Labels, scale = 1): void {
+    this.add(summary.p50 * scale, { ...labels, quantile: '0.5' });
+    this.add(summary.p90 * scale, { ...labels, quantile: '0.9' });
+    this.add(summary.p99 * scale, { ...labels, quantile: '0.99' });
+    this.add(summary.sum * scale, labels, '_sum');
+    this.add(summary.count, labels, '_count');
+  }
+
+  render(): string[] {
+    if (this.samples.length === 0) return [];
+
+    const lines = [`# TYPE ${this.name} ${this.type}`];
+    if (this.unit) lines.push(`# UNIT ${this.name} ${this.unit}`);
+    lines.push(`# HELP ${this.name} ${this.help}`);
+    return lines.concat(this.samples);
+  }
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value!)}"`).join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+export function renderOpenMetrics(snapshot: MetricsSnapshot, prefix = 'idgaf'): string {
+  const family = (name: string, type: 'gauge' | 'counter' | 'summary', help: string, unit?: string) =>
+    new MetricFamily(`${prefix}_${name}`, type, help, unit);
+
+  const modelInfo = family('model', 'gauge', 'Loaded models.');
+  const modelSize = family('model_size_bytes', 'gauge', 'Size of each loaded model.', 'bytes');
+  const modelPinned = family('model_pinned', 'gauge', 'Whether the model is pinned in memory.');
+  const queueActive = family('queue_active_requests', 'gauge', 'Requests currently running per model.');
+  const queueWaiting = family('queue_waiting_requests', 'gauge', 'Requests waiting for a slot per model.');
+  const lastInference = family('last_inference_seconds', 'gauge', 'Duration of the most recent inference.', 'seconds');
+  const tokensPerSecond = family('last_tokens_per_second', 'gauge', 'Throughput of the most recent streamed inference.');
+  const modelMemory = family('model_memory_bytes', 'gauge', 'Memory reported for each model.', 'bytes');
+
+  const requests = family('requests', 'counter', 'Inference requests per model and operation.');
+  const errors = family('errors', 'counter', 'Failed inference requests per model, operation and error code.');
+  const promptTokens = family('prompt_tokens', 'counter', 'Prompt tokens processed.');
+  const completionTokens = family('completion_tokens', 'counter', 'Completion tokens generated.');
+  const latency = family('request_duration_seconds', 'summary', 'Inference latency.', 'seconds');
+  const queueWait = family('queue_wait_seconds', 'summary', 'Time spent waiting for a scheduler slot.', 'seconds');
+  const timeToFirstToken = family('time_to_first_token_seconds', 'summary', 'Time to the first streamed token.', 'seconds');
+  const interTokenLatency = family('inter_token_latency_seconds', 'summary', 'Time between streamed tokens.', 'seconds');
+
+  const memoryLoaded = family('memory_loaded_bytes', 'gauge', 'Total size of models held by the registry.', 'bytes');
+  const memoryUsed = family('memory_used_bytes', 'gauge', 'Memory reserved by resident models.', 'bytes');
+  const memoryLimit = family('memory_limit_bytes', 'gauge', 'Configured memory limit for resident models.', 'bytes');
+  const cacheSize = family('cache_size_bytes', 'gauge', 'Size of the on-disk model cache.', 'bytes');
+  const cacheFiles = family('cache_files', 'gauge', 'Files in the on-disk model cache.');
+
+  for (const model of snapshot.models) {
+    const labels = { model: model.modelId, alias: model.alias };
+    modelInfo.add(1, { ...labels, format: model.format, type: model.type });
+    modelSize.add(model.sizeBytes, labels);
+    modelPinned.add(model.pinned ? 1 : 0, labels);
+    queueActive.add(model.queue.active, labels);
+    queueWaiting.add(model.queue.waiting, labels);
+
+    if (model.performance) {
+      lastInference.add(model.performance.inferenceTimeMs / 1000, labels);
+      if (model.performance.tokensPerSecond !== undefined) {
+        tokensPerSecond.add(model.performance.tokensPerSecond, labels);
+      }
+      modelMemory.add(model.performance.memoryUsageMB * 1024 * 1024, labels);
+    }
+  }
+
+  for (const entry of Object.values(snapshot.report.models)) {
+    for (const [operation, metrics] of Object.entries(entry.operations)) {
+      if (!metrics) continue;
+
+      const labels = { model: entry.modelId, alias: entry.alias, operation };
+      requests.add(metrics.requests, labels, '_total');
+      for (const [code, count] of Object.entries(metrics.errorsByCode)) {
+        errors.add(count, { ...labels, code }, '_total');
+      }
+      promptTokens.add(metrics.promptTokens, labels, '_total');
+      completionTokens.add(metrics.completionTokens, labels, '_total');
+      latency.addSummary(metrics.latencyMs, labels, 0.001);
+      queueWait.addSummary(metrics.queueWaitMs, labels, 0.001);
+      if (metrics.timeToFirstTokenMs) {
+        timeToFirstToken.addSummary(metrics.timeToFirstTokenMs, labels, 0.001);
+      }
+      if (metrics.interTokenLatencyMs) {
+        interTokenLatency.addSummary(metrics.interTokenLatencyMs, labels, 0.001);
+      }
+    }
+  }
+
+  memoryLoaded.add(snapshot.memory.loadedBytes);
+  memoryUsed.add(snapshot.memory.usedBytes);
+  memoryLimit.add(snapshot.memory.limitBytes);
+  cacheSize.add(snapshot.cache.totalSize);
+  cacheFiles.add(snapshot.cache.fileCount);
+
+  const families = [
+    modelInfo, modelSize, modelPinned, queueActive, queueWaiting, lastInference, tokensPerSecond, modelMemory,
+    requests, errors, promptTokens, completionTokens, latency, queueWait, timeToFirstToken, interTokenLatency,
+    memoryLoaded, memoryUsed, memoryLimit, cacheSize, cacheFiles
+  ];
+
+  const lines = families.reduce<string[]>((all, metric) => all.concat(metric.render()), []);
+  lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+export function createMetricsHandler(
+  source: MetricsSource,
+  options: { prefix?: string } = {}
+): (req: IncomingMessage, res: ServerResponse) => void {
+  return (req, res) => {
+    if (req.method && req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'GET, HEAD');
+      res.end();
+      return;
+    }
+
+    try {
+      const body = renderOpenMetrics(source.getMetricsSnapshot(), options.prefix);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', OPENMETRICS_CONTENT_TYPE);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(`Failed to collect metrics: ${(error as Error).message}\n`);
+    }
+  };
+}
\ No newline at end of file
@@ -1,7 +1,9 @@
-import { ModelInfo, ModelDownloadOptions, ProgressCallback, CacheManager } from '../types';
+import { ModelInfo, ModelOptions, ModelDownloadOptions, ProgressCallback, CacheManager } from '../types';
 import { createHash } from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
+import { AIError } from '../utils/ErrorHandler';
+import { throwIfAborted } from '../utils/StreamingUtils';
 
 export class ModelManager {
   private cachePath: string;
@@ -42,15 +44,20 @@ export class ModelManager {
     filePath: string,
     options: ModelDownloadOptions
   ): Promise<string> {
-    const { onProgress, timeout = 300000, retries = 3 } = options;
+    const { onProgress, timeout = 300000, retries = 3, signal } = options;
 
     for (let attempt = 0; attempt < retries; attempt++) {
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       try {
+        throwIfAborted(signal, 'download');
+
         if (typeof fetch === 'undefined') {
-          throw new Error('Fetch not available - please use in a browser or Node 18+ environment');
+          throw AIError.dependencyMissing('fetch', 'model downloads');
         }
 
-        const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
 
         const response = await fetch(url, {
@@ -63,18 +70,23 @@ export class ModelManager {
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          throw AIError.networkError(url, new Error(`HTTP ${response.status}: ${response.statusText}`));
         }
 
         const totalSize = parseInt(response.headers.get('content-length') || '0');
         let downloadedSize = 0;
 
         const reader = response.body?.getReader();
-        if (!reader) throw new Error('Response body not available');
+        if (!reader) throw AIError.networkError(url, new Error('Response body not available'));
 
         const chunks: Uint8Array[] = [];
 
         while (true) {
+          if (signal?.aborted) {
+            await reader.cancel();
+            throwIfAborted(signal, 'download');
+          }
+
           const { done, value } = await reader.read();
           if (done) break;
 
@@ -98,12 +110,15 @@ export class ModelManager {
         return filePath;
 
       } catch (error) {
-        if (attempt === retries - 1) throw error;
+        if (signal?.aborted) throw AIError.cancelled('download', signal.reason);
+        if (attempt === retries - 1) throw AIError.from(error, cause => AIError.networkError(url, cause));
         await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+      } finally {
+        signal?.removeEventListener('abort', onAbort);
       }
     }
 
-    throw new Error(`Failed to download model after ${retries} attempts`);
+    throw AIError.networkError(url, new Error(`Failed to download model after ${retries} attempts`));
   }
 
   private async validateChecksum(filePath: string, expectedChecksum: string): Promise<boolean> {
@@ -154,6 +169,18 @@ export class ModelManager {
     };
   }
 
+  estimateMemoryRequirement(modelInfo: ModelInfo, options: ModelOptions = {}): number {
+    const weights = modelInfo.size * 1.1;
+
+    if (modelInfo.type !== 'llm') {
+      return Math.round(weights);
+    }
+
+    const contextLength = options.contextLength || 2048;
+    const kvCacheBytesPerToken = 128 * 1024;
+    return Math.round(weights + contextLength * kvCacheBytesPerToken);
+  }
+
   private inferModelType(modelPath: string): ModelInfo['type'] {
     const fileName = path.basename(modelPath).toLowerCase();
 
@@ -0,0 +1,69 @@
+import { LoadedModel, ModelAdapter } from '../types';
+import { ErrorCode } from '../utils/ErrorHandler';
+import { ModelRegistry } from './ModelRegistry';
+
+const unloaded: string[] = [];
+const adapter = { unloadModel: async (id: string) => { unloaded.push(id); } } as unknown as ModelAdapter;
+
+const model = (id: string, alias?: string): LoadedModel => ({ id, alias, adapter, info: { size: 1 } } as LoadedModel);
+
+describe('ModelRegistry', () => {
+  let registry: ModelRegistry;
+
+  beforeEach(() => {
+    registry = new ModelRegistry();
+    unloaded.length = 0;
+  });
+
+  it('should resolve a model by id or alias', () => {
+    const llama = model('llama-7b', 'chat');
+    registry.registerLoadedModel(llama);
+
+    expect(registry.resolveModel('llama-7b')).toBe(llama);
+    expect(registry.resolveModel('chat')).toBe(llama);
+    expect(registry.resolveModel('missing')).toBeUndefined();
+  });
+
+  it('should prefer an alias over a model id with the same name', () => {
+    const qwen = model('qwen');
+    const llama = model('llama-7b', 'qwen');
+    registry.registerLoadedModel(qwen);
+    registry.registerLoadedModel(llama);
+
+    expect(registry.resolveModel('qwen')).toBe(llama);
+    expect(registry.getLoadedModel('qwen')).toBe(qwen);
+  });
+
+  it('should reject an alias held by another model without registering it', () => {
+    registry.registerLoadedModel(model('llama-7b', 'chat'));
+
+    expect(() => registry.registerLoadedModel(model('qwen', 'chat'))).toThrow(expect.objectContaining({
+      code: ErrorCode.CONFIGURATION_ERROR,
+      details: expect.objectContaining({ setting: 'alias', value: 'chat' })
+    }));
+    expect(registry.getLoadedModel('qwen')).toBeUndefined();
+    expect(registry.resolveModel('chat')?.id).toBe('llama-7b');
+  });
+
+  it('should allow the same model to re-register its alias', () => {
+    registry.registerLoadedModel(model('llama-7b', 'chat'));
+
+    expect(() => registry.registerLoadedModel(model('llama-7b', 'chat'))).not.toThrow();
+  });
+
+  it('should free the alias when the model is unloaded', async () => {
+    registry.registerLoadedModel(model('llama-7b', 'chat'));
+    await registry.unloadModel('llama-7b');
+    const qwen = model('qwen', 'chat');
+    registry.registerLoadedModel(qwen);
+
+    expect(unloaded).toEqual(['llama-7b']);
+    expect(registry.resolveModel('chat')).toBe(qwen);
+  });
+
+  it('should not call the adapter for a model it does not hold', async () => {
+    await registry.unloadModel('missing');
+
+    expect(unloaded).toEqual([]);
+  });
+});
\ No newline at end of file
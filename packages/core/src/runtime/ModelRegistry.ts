@@ -1,8 +1,10 @@
 import { ModelAdapter, ModelInfo, LoadedModel, HardwareInfo } from '../types';
+import { AIError } from '../utils/ErrorHandler';
 
 export class ModelRegistry {
   private adapters: Map<string, ModelAdapter> = new Map();
   private loadedModels: Map<string, LoadedModel> = new Map();
+  private aliases: Map<string, string> = new Map();
 
   registerAdapter(adapter: ModelAdapter): void {
     this.adapters.set(adapter.format, adapter);
@@ -45,6 +47,13 @@ export class ModelRegistry {
   }
 
   registerLoadedModel(model: LoadedModel): void {
+    if (model.alias) {
+      const existing = this.aliases.get(model.alias);
+      if (existing && existing !== model.id) {
+        throw AIError.configurationError('alias', model.alias, `already assigned to model ${existing}`);
+      }
+      this.aliases.set(model.alias, model.id);
+    }
     this.loadedModels.set(model.id, model);
   }
 
@@ -52,11 +61,19 @@ export class ModelRegistry {
     return this.loadedModels.get(modelId);
   }
 
+  resolveModel(idOrAlias: string): LoadedModel | undefined {
+    const modelId = this.aliases.get(idOrAlias) ?? idOrAlias;
+    return this.loadedModels.get(modelId);
+  }
+
   async unloadModel(modelId: string): Promise<void> {
     const model = this.loadedModels.get(modelId);
     if (model) {
       await model.adapter.unloadModel(modelId);
       this.loadedModels.delete(modelId);
+      if (model.alias) {
+        this.aliases.delete(model.alias);
+      }
     }
   }
 
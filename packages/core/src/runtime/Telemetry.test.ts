@@ -0,0 +1,50 @@
+import { TelemetryRecord } from '../types';
+import { TelemetryRecorder } from './Telemetry';
+
+const entry = (index: number) => ({ requestId: `req_${index}`, task: 'generate' as const, modelId: 'm', latencyMs: 1 });
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TelemetryRecorder', () => {
+  it('should keep only the newest records while the sink keeps failing', async () => {
+    let failing = true;
+    const written: TelemetryRecord[] = [];
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const recorder = new TelemetryRecorder({
+      enabled: true,
+      sink: { write: records => { if (failing) throw new Error('disk full'); written.push(...records); } },
+      bufferSize: 2,
+      maxBufferedRecords: 3,
+      flushIntervalMs: 0,
+      logger
+    });
+
+    for (let index = 0; index < 6; index++) {
+      recorder.record(entry(index));
+      await settle();
+    }
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to flush telemetry', expect.objectContaining({
+      error: expect.objectContaining({ message: 'disk full' }),
+      buffered: 3
+    }));
+    const dropped = logger.warn.mock.calls.reduce((sum, [, fields]) => sum + fields.dropped, 0);
+    expect(dropped).toBe(3);
+
+    failing = false;
+    await recorder.flush();
+    expect(written.map(record => record.requestId)).toEqual(['req_3', 'req_4', 'req_5']);
+  });
+
+  it('should still reject explicit flushes so callers can handle them', async () => {
+    const recorder = new TelemetryRecorder({
+      enabled: true,
+      sink: { write: () => { throw new Error('offline'); } },
+      bufferSize: 10,
+      flushIntervalMs: 0
+    });
+
+    recorder.record(entry(0));
+    await expect(recorder.flush()).rejects.toThrow('offline');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,217 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { HardwareInfo, InferenceTask, TelemetryRecord, TelemetrySink } from '../types';
+import { Logger } from '../utils/Logger';
+
+export class FileTelemetrySink implements TelemetrySink {
+  private filePath: string;
+  private maxFileSize: number;
+  private maxFiles: number;
+
+  constructor(filePath: string, maxFileSize: number = 5 * 1024 * 1024, maxFiles: number = 3) {
+    this.filePath = filePath;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = Math.max(1, maxFiles);
+  }
+
+  write(records: TelemetryRecord[]): void {
+    if (records.length === 0) return;
+
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    if (fs.existsSync(this.filePath) && fs.statSync(this.filePath).size >= this.maxFileSize) {
+      this.rotate();
+    }
+
+    const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    fs.appendFileSync(this.filePath, lines);
+  }
+
+  read(): TelemetryRecord[] {
+    const records: TelemetryRecord[] = [];
+
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      const file = this.getRotatedPath(index);
+      if (!fs.existsSync(file)) continue;
+
+      const lines = fs.readFileSync(file, 'utf-8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          // Skip partially written lines
+        }
+      }
+    }
+
+    return records;
+  }
+
+  private rotate(): void {
+    const oldest = this.getRotatedPath(this.maxFiles - 1);
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+
+    for (let index = this.maxFiles - 2; index >= 0; index--) {
+      const source = this.getRotatedPath(index);
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, this.getRotatedPath(index + 1));
+      }
+    }
+  }
+
+  private getRotatedPath(index: number): string {
+    if (index === 0) return this.filePath;
+
+    const extension = path.extname(this.filePath);
+    const base = this.filePath.slice(0, this.filePath.length - extension.length);
+    return `${base}.${index}${extension}`;
+  }
+}
+
+export class TelemetryRecorder {
+  private enabled: boolean;
+  private sink: TelemetrySink | null;
+  private buffer: TelemetryRecord[] = [];
+  private history: TelemetryRecord[] = [];
+  private bufferSize: number;
+  private maxBufferedRecords: number;
+  private droppedRecords = 0;
+  private historySize: number;
+  private flushTimer: ReturnType<typeof setInterval> | null = null;
+  private hardware: HardwareInfo | null = null;
+  private logger?: Logger;
+
+  constructor(options: {
+    enabled: boolean;
+    sink?: TelemetrySink | null;
+    bufferSize?: number;
+    maxBufferedRecords?: number;
+    historySize?: number;
+    flushIntervalMs?: number;
+    logger?: Logger;
+  }) {
+    this.enabled = options.enabled;
+    this.sink = options.sink || null;
+    this.bufferSize = options.bufferSize ?? 50;
+    this.maxBufferedRecords = Math.max(this.bufferSize, options.maxBufferedRecords ?? 1000);
+    this.historySize = options.historySize ?? 1000;
+    this.logger = options.logger;
+
+    const flushIntervalMs = options.flushIntervalMs ?? 30000;
+    if (this.enabled && this.sink && flushIntervalMs > 0) {
+      this.flushTimer = setInterval(() => this.flushInBackground(), flushIntervalMs);
+      (this.flushTimer as any).unref?.();
+    }
+  }
+
+  get isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  setHardware(hardware: HardwareInfo | null): void {
+    this.hardware = hardware;
+  }
+
+  record(entry: {
+    requestId: string;
+    task: InferenceTask;
+    modelId: string;
+    latencyMs: number;
+    queueWaitMs?: number;
+    promptTokens?: number;
+    completionTokens?: number;
+    error?: Error;
+  }): void {
+    if (!this.enabled) return;
+
+    const record: TelemetryRecord = {
+      timestamp: new Date().toISOString(),
+      requestId: entry.requestId,
+      task: entry.task,
+      modelId: entry.modelId,
+      latencyMs: entry.latencyMs,
+      queueWaitMs: entry.queueWaitMs,
+      promptTokens: entry.promptTokens,
+      completionTokens: entry.completionTokens,
+      success: !entry.error,
+      error: entry.error ? {
+        code: (entry.error as any).code,
+        message: entry.error.message
+      } : undefined,
+      hardware: this.hardware ? {
+        platform: this.hardware.platform,
+        architecture: this.hardware.architecture,
+        cores: this.hardware.cores,
+        memoryMB: this.hardware.memoryMB,
+        hasGPU: this.hardware.hasGPU,
+        hasNPU: this.hardware.hasNPU
+      } : undefined
+    };
+
+    this.history.push(record);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    if (this.sink) {
+      this.buffer.push(record);
+      this.trimBuffer();
+      if (this.buffer.length >= this.bufferSize) {
+        this.flushInBackground();
+      }
+    }
+  }
+
+  async flush(): Promise<void> {
+    if (!this.sink || this.buffer.length === 0) return;
+
+    const records = this.buffer;
+    this.buffer = [];
+
+    try {
+      await this.sink.write(records);
+    } catch (error) {
+      this.buffer = records.concat(this.buffer);
+      this.trimBuffer();
+      throw error;
+    }
+  }
+
+  async export(): Promise<TelemetryRecord[]> {
+    if (this.sink?.read) {
+      await this.flush();
+      return this.sink.read();
+    }
+    return [...this.history];
+  }
+
+  private flushInBackground(): void {
+    this.flush().catch(error => {
+      const dropped = this.droppedRecords;
+      this.droppedRecords = 0;
+      this.logger?.warn('Failed to flush telemetry', { error, buffered: this.buffer.length, dropped });
+    });
+  }
+
+  private trimBuffer(): void {
+    const overflow = this.buffer.length - this.maxBufferedRecords;
+    if (overflow > 0) {
+      this.buffer.splice(0, overflow);
+      this.droppedRecords += overflow;
+    }
+  }
+
+  async close(): Promise<void> {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
\ No newline at end of file
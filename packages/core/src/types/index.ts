@@ -1,3 +1,5 @@
+import { Logger } from '../utils/Logger';
+
 export interface Tensor {
   data: Float32Array | Uint8Array | Int32Array;
   shape: number[];
@@ -14,6 +16,189 @@ export interface AIConfig {
     preferNPU?: boolean;
     maxMemoryMB?: number;
   };
+  adapters?: Array<AdapterPlugin | ModelAdapter>;
+  autoRegisterAdapters?: boolean;
+  defaultModels?: Partial<Record<InferenceTask, string>>;
+  logger?: Logger;
+  redactPrompts?: boolean;
+  telemetry?: TelemetryConfig;
+  memoryPolicy?: 'reject' | 'evict-lru';
+  scheduler?: SchedulerConfig;
+  preload?: Array<string | PreloadModelConfig>;
+  fallbacks?: Partial<Record<InferenceTask, string[]>>;
+  timeouts?: Partial<Record<InferenceTask, number>>;
+  conversations?: ConversationConfig;
+  contextWindow?: ContextWindowOptions;
+}
+
+export interface ConversationConfig {
+  store?: ConversationStore;
+  directory?: string;
+}
+
+export interface Conversation {
+  id: string;
+  messages: ChatMessage[];
+  createdAt: string;
+  updatedAt: string;
+  parentId?: string;
+  metadata?: Record<string, any>;
+}
+
+export interface ConversationSummary {
+  id: string;
+  messageCount: number;
+  createdAt: string;
+  updatedAt: string;
+  parentId?: string;
+}
+
+export interface ConversationLock {
+  conversation: Conversation | null;
+  append(messages: ChatMessage[]): Promise<Conversation>;
+  release(): void;
+}
+
+export interface ConversationStore {
+  get(id: string): Promise<Conversation | null>;
+  save(conversation: Conversation): Promise<void>;
+  delete(id: string): Promise<boolean>;
+  list(): Promise<Conversation[]>;
+}
+
+export interface PreloadModelConfig extends Omit<ModelOptions, 'signal'> {
+  source: string;
+}
+
+export type ConfigFileSection = Omit<AIConfig, 'adapters' | 'logger'>;
+
+export interface ConfigFile extends ConfigFileSection {
+  profiles?: Record<string, ConfigFileSection>;
+}
+
+export interface LoadConfigOptions {
+  path?: string;
+  profile?: string;
+  env?: Record<string, string | undefined>;
+  cwd?: string;
+  searchHome?: boolean;
+}
+
+export interface SchedulerConfig {
+  concurrency?: number;
+  maxQueueLength?: number;
+  models?: Record<string, {
+    concurrency?: number;
+    maxQueueLength?: number;
+  }>;
+}
+
+export type InferencePriority = 'low' | 'normal' | 'high' | number;
+
+export interface TelemetryConfig {
+  sink?: TelemetrySink;
+  filePath?: string;
+  maxFileSize?: number;
+  maxFiles?: number;
+  bufferSize?: number;
+  maxBufferedRecords?: number;
+  flushIntervalMs?: number;
+}
+
+export interface TelemetryRecord {
+  timestamp: string;
+  requestId: string;
+  task: InferenceTask;
+  modelId: string;
+  latencyMs: number;
+  queueWaitMs?: number;
+  promptTokens?: number;
+  completionTokens?: number;
+  success: boolean;
+  error?: {
+    code?: string;
+    message: string;
+  };
+  hardware?: Pick<HardwareInfo, 'platform' | 'architecture' | 'cores' | 'memoryMB' | 'hasGPU' | 'hasNPU'>;
+}
+
+export interface TelemetrySink {
+  write(records: TelemetryRecord[]): void | Promise<void>;
+  read?(): TelemetryRecord[] | Promise<TelemetryRecord[]>;
+}
+
+export type InferenceTask =
+  | 'generate'
+  | 'chat'
+  | 'classify'
+  | 'detect'
+  | 'segment'
+  | 'transcribe'
+  | 'synthesize'
+  | 'embed'
+  | 'run';
+
+export interface InferenceOptions {
+  model?: string;
+  signal?: AbortSignal;
+  priority?: InferencePriority;
+  fallbacks?: string[] | false;
+  timeoutMs?: number;
+}
+
+export interface FallbackAttempt {
+  modelId: string;
+  alias?: string;
+  code?: string;
+  message: string;
+}
+
+export interface InferenceMetadata {
+  requestId: string;
+  task: InferenceTask;
+  modelId: string;
+  alias?: string;
+  durationMs: number;
+  queueWaitMs: number;
+  failedAttempts?: FallbackAttempt[];
+  context?: ContextWindowReport;
+  finishReason?: FinishReason;
+  stopSequence?: string;
+  seed?: number;
+  usage?: TokenUsage;
+  timeToFirstTokenMs?: number;
+}
+
+export type FinishReason = 'stop' | 'length' | 'tool_calls' | 'cancelled' | 'error';
+
+export interface TokenUsage {
+  promptTokens?: number;
+  completionTokens: number;
+}
+
+export interface GenerationInfo {
+  finishReason?: FinishReason;
+  stopSequence?: string;
+  seed?: number;
+  completionTokens?: number;
+}
+
+export type ContextStrategy = 'drop-oldest' | 'keep-last' | 'summarize';
+
+export interface ContextWindowOptions {
+  strategy?: ContextStrategy;
+  keepLastMessages?: number;
+  reserveTokens?: number;
+  summaryMaxTokens?: number;
+}
+
+export interface ContextWindowReport {
+  strategy: ContextStrategy;
+  contextLength: number;
+  promptTokens: number;
+  originalPromptTokens: number;
+  dropped: ChatMessage[];
+  summary?: string;
 }
 
 export interface ModelOptions {
@@ -24,27 +209,165 @@ export interface ModelOptions {
   topK?: number;
   maxTokens?: number;
   cacheEnabled?: boolean;
+  alias?: string;
+  pinned?: boolean;
+  chatTemplate?: ChatTemplateName | ChatTemplate;
+  signal?: AbortSignal;
+}
+
+export type ChatTemplateName = 'chatml' | 'llama2' | 'llama3' | 'mistral' | 'gemma' | 'phi3';
+
+export interface ChatTemplate {
+  name: string;
+  stopSequences: string[];
+  render(messages: ChatMessage[], tools?: ToolDefinition[]): string;
+  toolCallStart?: string;
+  parseToolCalls?(text: string): ToolCall[];
+}
+
+export interface SamplingOptions {
+  minP?: number;
+  typicalP?: number;
+  repeatPenalty?: number;
+  repeatLastN?: number;
+  presencePenalty?: number;
+  frequencyPenalty?: number;
+  mirostat?: 0 | 1 | 2;
+  mirostatTau?: number;
+  mirostatEta?: number;
+  logitBias?: LogitBias[];
+  greedy?: boolean;
 }
 
-export interface GenerateOptions extends ModelOptions {
+export interface LogitBias {
+  token: number | string;
+  bias: number;
+}
+
+export interface GenerateOptions extends ModelOptions, InferenceOptions, SamplingOptions {
   stream?: boolean;
   stopSequences?: string[];
   seed?: number;
+  logprobs?: number;
   systemPrompt?: string;
+  responseFormat?: ResponseFormat;
+}
+
+export type JsonSchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+export interface JsonSchema {
+  type?: JsonSchemaType | JsonSchemaType[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  minItems?: number;
+  maxItems?: number;
+  enum?: unknown[];
+  const?: unknown;
+  anyOf?: JsonSchema[];
+  oneOf?: JsonSchema[];
+  allOf?: JsonSchema[];
+  $ref?: string;
+  $defs?: Record<string, JsonSchema>;
+  definitions?: Record<string, JsonSchema>;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  title?: string;
+  description?: string;
+}
+
+export type ResponseFormat =
+  | { type: 'json_object' }
+  | { type: 'json_schema'; schema: JsonSchema };
+
+export interface GenerateObjectOptions extends Omit<ChatOptions, 'conversationId' | 'responseFormat' | 'tools' | 'logprobs'> {
+  schema: JsonSchema;
+  maxRetries?: number;
+}
+
+export interface GenerateObjectResult<T> {
+  object: T;
+  text: string;
+  attempts: number;
+  metadata: InferenceMetadata;
+}
+
+export interface TextTimings {
+  durationMs: number;
+  queueWaitMs: number;
+  timeToFirstTokenMs?: number;
+  tokensPerSecond?: number;
+}
+
+export interface TextResult {
+  text: string;
+  finishReason: FinishReason;
+  usage: TokenUsage;
+  timings: TextTimings;
+  modelId: string;
+  alias?: string;
+  requestId: string;
+  toolCalls?: ToolCall[];
+  logprobs?: TokenChunk[];
+  stopSequence?: string;
+  seed?: number;
+  error?: Error;
+  metadata: InferenceMetadata;
 }
 
 export interface ChatMessage {
-  role: 'system' | 'user' | 'assistant';
+  role: 'system' | 'user' | 'assistant' | 'tool';
   content: string;
   timestamp?: Date;
+  toolCalls?: ToolCall[];
+  toolCallId?: string;
+  name?: string;
+}
+
+export interface ToolDefinition {
+  name: string;
+  description?: string;
+  parameters?: JsonSchema;
+}
+
+export interface ToolCall {
+  id: string;
+  name: string;
+  arguments: Record<string, any>;
+}
+
+export interface ToolCallChunk {
+  type: 'tool_call';
+  toolCall: ToolCall;
 }
 
+export interface TokenLogprob {
+  text: string;
+  tokenId: number;
+  logprob: number;
+}
+
+export interface TokenChunk extends TokenLogprob {
+  type: 'token';
+  topLogprobs: TokenLogprob[];
+}
+
+export type ChatChunk = string | TokenChunk | ToolCallChunk;
+
 export interface ChatOptions extends GenerateOptions {
   messages?: ChatMessage[];
   conversationId?: string;
+  contextWindow?: ContextWindowOptions | false;
+  tools?: ToolDefinition[];
 }
 
-export interface ClassifyOptions {
+export interface ClassifyOptions extends InferenceOptions {
   topK?: number;
   threshold?: number;
   includeEmbeddings?: boolean;
@@ -60,6 +383,7 @@ export interface ClassificationResult {
   predictions: Classification[];
   top(k: number): Classification[];
   embeddings?: Float32Array;
+  metadata?: InferenceMetadata;
 }
 
 export interface DetectionBox {
@@ -75,6 +399,7 @@ export interface DetectionBox {
 export interface DetectionResult {
   boxes: DetectionBox[];
   count: number;
+  metadata?: InferenceMetadata;
 }
 
 export interface SegmentationResult {
@@ -82,9 +407,10 @@ export interface SegmentationResult {
   classes: number[];
   width: number;
   height: number;
+  metadata?: InferenceMetadata;
 }
 
-export interface TranscriptionOptions {
+export interface TranscriptionOptions extends InferenceOptions {
   language?: string;
   enablePunctuation?: boolean;
   enableDiarization?: boolean;
@@ -101,9 +427,10 @@ export interface TranscriptionResult {
   }>;
   language?: string;
   confidence: number;
+  metadata?: InferenceMetadata;
 }
 
-export interface SynthesisOptions {
+export interface SynthesisOptions extends InferenceOptions {
   voice?: string;
   speed?: number;
   pitch?: number;
@@ -111,11 +438,20 @@ export interface SynthesisOptions {
   format?: 'wav' | 'mp3' | 'pcm';
 }
 
-export interface EmbeddingOptions {
+export interface EmbeddingOptions extends InferenceOptions {
   normalize?: boolean;
   pooling?: 'mean' | 'cls' | 'max';
 }
 
+export interface BatchOptions {
+  batchSize?: number;
+  onProgress?: (completed: number, total: number) => void;
+}
+
+export type BatchItemResult<T> =
+  | { index: number; status: 'fulfilled'; value: T }
+  | { index: number; status: 'rejected'; error: Error };
+
 export interface ModelInfo {
   name: string;
   format: 'gguf' | 'tflite' | 'onnx' | 'pte';
@@ -134,15 +470,18 @@ export interface ModelAdapter {
   loadModel(modelPath: string, options?: ModelOptions): Promise<LoadedModel>;
   unloadModel(modelId: string): Promise<void>;
   getCapabilities(): AdapterCapabilities;
+  initialize?(): Promise<void>;
+  dispose?(): Promise<void>;
 }
 
 export interface LoadedModel {
   id: string;
+  alias?: string;
   info: ModelInfo;
   adapter: ModelAdapter;
 
-  generate?(prompt: string, options?: GenerateOptions): AsyncGenerator<string>;
-  chat?(messages: ChatMessage[], options?: ChatOptions): AsyncGenerator<string>;
+  generate?(prompt: string, options?: GenerateOptions): AsyncGenerator<string | TokenChunk, GenerationInfo | void>;
+  chat?(messages: ChatMessage[], options?: ChatOptions): AsyncGenerator<ChatChunk, GenerationInfo | void>;
   classify?(input: Tensor, options?: ClassifyOptions): Promise<ClassificationResult>;
   detect?(input: Tensor, options?: any): Promise<DetectionResult>;
   segment?(input: Tensor, options?: any): Promise<SegmentationResult>;
@@ -150,6 +489,26 @@ export interface LoadedModel {
   synthesize?(text: string, options?: SynthesisOptions): Promise<ArrayBuffer>;
   embed?(input: string | Tensor, options?: EmbeddingOptions): Promise<Float32Array>;
   run?(input: any, options?: any): Promise<any>;
+  countTokens?(text: string): number;
+}
+
+export interface AdapterContext {
+  logger: Logger;
+}
+
+export interface AdapterPlugin {
+  name: string;
+  dependencies?: string[];
+  create(context: AdapterContext): ModelAdapter;
+}
+
+export interface AdapterDescriptor {
+  name: string;
+  format: ModelInfo['format'];
+  supportedTypes: readonly ModelInfo['type'][];
+  dependencies: string[];
+  available: boolean;
+  capabilities: AdapterCapabilities;
 }
 
 export interface AdapterCapabilities {
@@ -158,6 +517,7 @@ export interface AdapterCapabilities {
   supportsQuantization: string[];
   maxContextLength?: number;
   supportedFormats: string[];
+  preferredBatchSize?: number;
 }
 
 export interface ProgressCallback {
@@ -169,6 +529,7 @@ export interface ModelDownloadOptions {
   timeout?: number;
   retries?: number;
   validateChecksum?: boolean;
+  signal?: AbortSignal;
 }
 
 export interface CacheEntry {
@@ -206,4 +567,97 @@ export interface PerformanceMetrics {
   memoryUsageMB: number;
   gpuUtilization?: number;
   modelLoadTimeMs?: number;
+  queueWaitMs?: number;
+  timeToFirstTokenMs?: number;
+  promptTokens?: number;
+  completionTokens?: number;
+}
+
+export interface LatencySummary {
+  count: number;
+  sum: number;
+  min: number;
+  max: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p99: number;
+}
+
+export interface OperationMetrics {
+  requests: number;
+  errors: number;
+  errorsByCode: Record<string, number>;
+  promptTokens: number;
+  completionTokens: number;
+  tokensPerSecond?: number;
+  latencyMs: LatencySummary;
+  queueWaitMs: LatencySummary;
+  timeToFirstTokenMs?: LatencySummary;
+  interTokenLatencyMs?: LatencySummary;
+}
+
+export interface PerformanceReport {
+  since: string;
+  generatedAt: string;
+  models: Record<string, {
+    modelId: string;
+    alias?: string;
+    operations: Partial<Record<InferenceTask, OperationMetrics>>;
+  }>;
+}
+
+export interface ModelMetricsSnapshot {
+  modelId: string;
+  alias?: string;
+  format: ModelInfo['format'];
+  type: ModelInfo['type'];
+  sizeBytes: number;
+  pinned: boolean;
+  queue: { active: number; waiting: number };
+  performance?: PerformanceMetrics;
+}
+
+export interface MetricsSnapshot {
+  models: ModelMetricsSnapshot[];
+  report: PerformanceReport;
+  memory: {
+    loadedBytes: number;
+    usedBytes: number;
+    limitBytes: number;
+  };
+  cache: {
+    totalSize: number;
+    fileCount: number;
+  };
+}
+
+export interface IDGAFEvents {
+  'model:loading': { source: string; alias?: string };
+  'model:loaded': { model: LoadedModel; loadTimeMs: number };
+  'model:unloaded': { modelId: string; alias?: string };
+  'download:progress': { url: string; progress: number; status: string };
+  'inference:start': { requestId: string; task: InferenceTask; modelId: string };
+  'inference:token': { requestId: string; modelId: string; token: string; index: number };
+  'tool:call': { requestId: string; modelId: string; toolCall: ToolCall };
+  'inference:end': {
+    requestId: string;
+    task: InferenceTask;
+    modelId: string;
+    durationMs: number;
+    tokenCount?: number;
+  };
+  'fallback': {
+    task: InferenceTask;
+    from: string;
+    to: string;
+    error: Error;
+    attempt: number;
+  };
+  'error': {
+    error: Error;
+    task?: InferenceTask | 'loadModel';
+    modelId?: string;
+    requestId?: string;
+  };
 }
\ No newline at end of file
@@ -8,25 +8,40 @@ export enum ErrorCode {
   TIMEOUT_ERROR = 'TIMEOUT_ERROR',
   NETWORK_ERROR = 'NETWORK_ERROR',
   HARDWARE_ERROR = 'HARDWARE_ERROR',
-  CONFIGURATION_ERROR = 'CONFIGURATION_ERROR'
+  CONFIGURATION_ERROR = 'CONFIGURATION_ERROR',
+  CANCELLED = 'CANCELLED',
+  QUEUE_FULL = 'QUEUE_FULL',
+  NO_MODEL_LOADED = 'NO_MODEL_LOADED',
+  CAPABILITY_NOT_SUPPORTED = 'CAPABILITY_NOT_SUPPORTED',
+  DEPENDENCY_MISSING = 'DEPENDENCY_MISSING',
+  CONVERSATION_NOT_FOUND = 'CONVERSATION_NOT_FOUND',
+  CONVERSATION_CORRUPTED = 'CONVERSATION_CORRUPTED',
+  CONVERSATION_STORE_FAILED = 'CONVERSATION_STORE_FAILED',
+  CONTEXT_LENGTH_EXCEEDED = 'CONTEXT_LENGTH_EXCEEDED',
+  SCHEMA_VALIDATION_FAILED = 'SCHEMA_VALIDATION_FAILED'
 }
 
 export class AIError extends Error {
   public readonly code: ErrorCode;
   public readonly details?: Record<string, any>;
   public readonly recoverable: boolean;
+  public readonly cause?: unknown;
 
   constructor(
     code: ErrorCode,
     message: string,
     details?: Record<string, any>,
-    recoverable = false
+    recoverable = false,
+    cause?: unknown
   ) {
     super(message);
     this.name = 'AIError';
     this.code = code;
     this.details = details;
     this.recoverable = recoverable;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
 
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, AIError);
@@ -47,7 +62,8 @@ export class AIError extends Error {
       ErrorCode.MODEL_LOAD_FAILED,
       `Failed to load model: ${modelPath}`,
       { modelPath, cause: cause.message },
-      true
+      true,
+      cause
     );
   }
 
@@ -56,7 +72,8 @@ export class AIError extends Error {
       ErrorCode.INFERENCE_FAILED,
       `Inference failed for operation: ${operation}`,
       { operation, cause: cause.message },
-      true
+      true,
+      cause
     );
   }
 
@@ -101,7 +118,8 @@ export class AIError extends Error {
       ErrorCode.NETWORK_ERROR,
       `Network error while accessing: ${url}`,
       { url, cause: cause.message },
-      true
+      true,
+      cause
     );
   }
 
@@ -122,6 +140,109 @@ export class AIError extends Error {
       true
     );
   }
+
+  static cancelled(operation: string, reason?: any): AIError {
+    return new AIError(
+      ErrorCode.CANCELLED,
+      `Operation cancelled: ${operation}`,
+      { operation, reason: reason instanceof Error ? reason.message : reason },
+      false,
+      reason instanceof Error ? reason : undefined
+    );
+  }
+
+  static queueFull(queue: string, maxQueueLength: number): AIError {
+    return new AIError(
+      ErrorCode.QUEUE_FULL,
+      `Request queue is full for ${queue} (max ${maxQueueLength} waiting)`,
+      { queue, maxQueueLength },
+      true
+    );
+  }
+
+  static noModelLoaded(task: string, modelType?: string): AIError {
+    return new AIError(
+      ErrorCode.NO_MODEL_LOADED,
+      modelType ? `No ${modelType} models loaded` : 'No models loaded',
+      { task, modelType },
+      true
+    );
+  }
+
+  static capabilityNotSupported(modelId: string, capability: string): AIError {
+    return new AIError(
+      ErrorCode.CAPABILITY_NOT_SUPPORTED,
+      `Model does not support ${capability}: ${modelId}`,
+      { modelId, capability },
+      false
+    );
+  }
+
+  static dependencyMissing(moduleName: string, feature: string, cause?: unknown): AIError {
+    return new AIError(
+      ErrorCode.DEPENDENCY_MISSING,
+      `Missing dependency ${moduleName} for ${feature}`,
+      { moduleName, feature },
+      false,
+      cause
+    );
+  }
+
+  static conversationNotFound(conversationId: string): AIError {
+    return new AIError(
+      ErrorCode.CONVERSATION_NOT_FOUND,
+      `Conversation not found: ${conversationId}`,
+      { conversationId },
+      false
+    );
+  }
+
+  static conversationCorrupted(filePath: string, cause: Error): AIError {
+    return new AIError(
+      ErrorCode.CONVERSATION_CORRUPTED,
+      `Conversation file is corrupted: ${filePath}`,
+      { filePath, cause: cause.message },
+      false,
+      cause
+    );
+  }
+
+  static conversationStoreFailed(operation: string, filePath: string, cause: Error): AIError {
+    return new AIError(
+      ErrorCode.CONVERSATION_STORE_FAILED,
+      `Failed to ${operation} conversation file: ${filePath}`,
+      { operation, filePath, cause: cause.message },
+      false,
+      cause
+    );
+  }
+
+  static contextLengthExceeded(requiredTokens: number, availableTokens: number): AIError {
+    return new AIError(
+      ErrorCode.CONTEXT_LENGTH_EXCEEDED,
+      `Prompt needs ${requiredTokens} tokens but only ${availableTokens} fit in the context window`,
+      { requiredTokens, availableTokens },
+      true
+    );
+  }
+
+  static schemaValidationFailed(errors: string[], attempts: number, text: string): AIError {
+    return new AIError(
+      ErrorCode.SCHEMA_VALIDATION_FAILED,
+      `Model output did not match the schema after ${attempts} attempt(s): ${errors.slice(0, 3).join('; ')}`,
+      { errors, attempts, text },
+      true
+    );
+  }
+
+  static from(error: unknown, wrap: (cause: Error) => AIError): AIError {
+    if (error instanceof AIError) return error;
+    return wrap(error instanceof Error ? error : new Error(String(error)));
+  }
+
+  static isCancellation(error: unknown): boolean {
+    return error instanceof AIError && error.code === ErrorCode.CANCELLED;
+  }
 }
 
 export class ErrorHandler {
@@ -129,7 +250,8 @@ export class ErrorHandler {
     ErrorCode.MODEL_LOAD_FAILED,
     ErrorCode.INFERENCE_FAILED,
     ErrorCode.TIMEOUT_ERROR,
-    ErrorCode.NETWORK_ERROR
+    ErrorCode.NETWORK_ERROR,
+    ErrorCode.QUEUE_FULL
   ]);
 
   static isRetryable(error: Error): boolean {
@@ -207,6 +329,36 @@ export class ErrorHandler {
       case ErrorCode.CONFIGURATION_ERROR:
         return 'Review configuration values and ensure they are within valid ranges.';
 
+      case ErrorCode.QUEUE_FULL:
+        return 'Retry later, lower request volume, or raise scheduler concurrency/maxQueueLength.';
+
+      case ErrorCode.CANCELLED:
+        return 'The operation was aborted through its AbortSignal. Retry with a fresh signal if needed.';
+
+      case ErrorCode.NO_MODEL_LOADED:
+        return 'Load a compatible model with ai.loadModel() before running this task.';
+
+      case ErrorCode.CAPABILITY_NOT_SUPPORTED:
+        return `Use a model whose adapter implements ${error.details?.capability || 'this operation'}, or route the request with options.model.`;
+
+      case ErrorCode.CONVERSATION_NOT_FOUND:
+        return 'Check the conversation id with ai.conversations.list(), or start a new conversation.';
+
+      case ErrorCode.CONVERSATION_CORRUPTED:
+        return 'Repair or delete the conversation file. It is not valid conversation JSON.';
+
+      case ErrorCode.CONVERSATION_STORE_FAILED:
+        return 'Check that the conversations directory exists and is readable and writable by this process.';
+
+      case ErrorCode.CONTEXT_LENGTH_EXCEEDED:
+        return 'Shorten the system prompt or latest message, lower maxTokens, or load the model with a larger contextLength.';
+
+      case ErrorCode.SCHEMA_VALIDATION_FAILED:
+        return 'Simplify the schema, describe the expected fields in the prompt, raise maxRetries, or use a GGUF model so output is grammar-constrained.';
+
+      case ErrorCode.DEPENDENCY_MISSING:
+        return `Install ${error.details?.moduleName} or run in an environment that provides it.`;
+
       default:
         return 'Consult the documentation or check the error details for more information.';
     }
@@ -218,6 +370,7 @@ export class ErrorHandler {
     details?: Record<string, any>;
     suggestion: string;
     recoverable?: boolean;
+    cause?: string;
   } {
     const suggestion = this.getErrorSuggestion(error);
 
@@ -227,7 +380,8 @@ export class ErrorHandler {
         code: error.code,
         details: error.details,
         suggestion,
-        recoverable: error.recoverable
+        recoverable: error.recoverable,
+        cause: error.cause instanceof Error ? error.cause.message : undefined
       };
     }
 
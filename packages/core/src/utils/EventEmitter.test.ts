@@ -0,0 +1,45 @@
+import { TypedEventEmitter } from './EventEmitter';
+
+type Events = { ping: number };
+
+class Emitter extends TypedEventEmitter<Events> {
+  errors: Array<[keyof Events, unknown]> = [];
+
+  fire(value: number): void {
+    this.emit('ping', value);
+  }
+
+  protected onListenerError(event: keyof Events, error: unknown): void {
+    this.errors.push([event, error]);
+  }
+}
+
+describe('TypedEventEmitter', () => {
+  it('should report listener errors through onListenerError and keep notifying other listeners', () => {
+    const emitter = new Emitter();
+    const failure = new Error('listener failed');
+    const received: number[] = [];
+
+    emitter.on('ping', () => { throw failure; });
+    emitter.on('ping', value => received.push(value));
+    emitter.fire(1);
+
+    expect(received).toEqual([1]);
+    expect(emitter.errors).toEqual([['ping', failure]]);
+  });
+
+  it('should fall back to console.warn when onListenerError is not overridden', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const emitter = new (class extends TypedEventEmitter<Events> {
+      fire(): void {
+        this.emit('ping', 1);
+      }
+    })();
+
+    emitter.on('ping', () => { throw new Error('boom'); });
+    emitter.fire();
+
+    expect(warn).toHaveBeenCalledWith('Error in ping listener:', expect.any(Error));
+    warn.mockRestore();
+  });
+});
\ No newline at end of file
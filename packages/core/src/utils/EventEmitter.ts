@@ -0,0 +1,56 @@
+export type EventListener<T> = (payload: T) => void;
+
+export class TypedEventEmitter<Events extends Record<string, any>> {
+  private listeners: Map<keyof Events, Set<EventListener<any>>> = new Map();
+
+  on<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): () => void {
+    let set = this.listeners.get(event);
+    if (!set) {
+      set = new Set();
+      this.listeners.set(event, set);
+    }
+    set.add(listener);
+    return () => this.off(event, listener);
+  }
+
+  once<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): () => void {
+    const wrapper: EventListener<Events[K]> = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  off<K extends keyof Events>(event: K, listener: EventListener<Events[K]>): void {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  removeAllListeners(event?: keyof Events): void {
+    if (event) {
+      this.listeners.delete(event);
+    } else {
+      this.listeners.clear();
+    }
+  }
+
+  listenerCount(event: keyof Events): number {
+    return this.listeners.get(event)?.size || 0;
+  }
+
+  protected emit<K extends keyof Events>(event: K, payload: Events[K]): void {
+    const set = this.listeners.get(event);
+    if (!set) return;
+
+    for (const listener of Array.from(set)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        this.onListenerError(event, error);
+      }
+    }
+  }
+
+  protected onListenerError(event: keyof Events, error: unknown): void {
+    console.warn(`Error in ${String(event)} listener:`, error);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { JsonSchema } from '../types';
+import { ErrorCode } from './ErrorHandler';
+import { extractJson, jsonSchemaToGrammar, validateJsonSchema } from './JsonSchema';
+
+const person: JsonSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    tags: { type: 'array', items: { enum: ['a', 'b'] } },
+    age: { type: 'integer' }
+  },
+  required: ['name']
+};
+
+describe('jsonSchemaToGrammar', () => {
+  it('should build a GBNF grammar with required fields first and optional fields after', () => {
+    expect(jsonSchemaToGrammar(person)).toBe([
+      'root ::= ws root-1',
+      'string ::= "\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" ( ["\\\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] ) )* "\\"" ws',
+      'ws ::= ([ \\t\\n] ws)?',
+      'root-tags ::= "[" ws ( ( "\\"a\\"" ws | "\\"b\\"" ws ) ( "," ws ( "\\"a\\"" ws | "\\"b\\"" ws ) )* )? "]" ws',
+      'integer ::= "-"? ( [0-9] | [1-9] [0-9]* ) ws',
+      'root-1 ::= "{" ws "\\"name\\"" ws ":" ws string ( "," ws "\\"tags\\"" ws ":" ws root-tags )? ( "," ws "\\"age\\"" ws ":" ws integer )? "}" ws',
+      ''
+    ].join('\n'));
+  });
+
+  it('should chain objects whose properties are all optional', () => {
+    expect(jsonSchemaToGrammar({ type: 'object', properties: { a: { type: 'boolean' }, b: { type: 'null' } } })).toContain(
+      'root-after-0 ::= "\\"a\\"" ws ":" ws boolean ( "," ws root-after-1 )? | root-after-1'
+    );
+  });
+
+  it('should resolve recursive local references', () => {
+    const grammar = jsonSchemaToGrammar({
+      $ref: '#/$defs/node',
+      $defs: {
+        node: { type: 'object', properties: { next: { anyOf: [{ $ref: '#/$defs/node' }, { type: 'null' }] } }, required: ['next'] }
+      }
+    });
+
+    expect(grammar).toContain('root ::= ws ref-node\n');
+    expect(grammar).toContain('ref-node-1 ::= "{" ws "\\"next\\"" ws ":" ws ( ref-node | null ) "}" ws');
+  });
+
+  it('should accept any JSON value without a schema', () => {
+    expect(jsonSchemaToGrammar()).toMatch(/^root ::= ws value\n/);
+  });
+
+  it('should reject remote references', () => {
+    expect(() => jsonSchemaToGrammar({ $ref: 'https://example.com/schema.json' }))
+      .toThrow(expect.objectContaining({ code: ErrorCode.CONFIGURATION_ERROR }));
+  });
+});
+
+describe('validateJsonSchema', () => {
+  it('should accept a matching value', () => {
+    expect(validateJsonSchema({ name: 'Ada', tags: ['a'], age: 36 }, person)).toEqual([]);
+  });
+
+  it('should report every mismatch with its path', () => {
+    expect(validateJsonSchema({ tags: ['c'], age: 3.5 }, person)).toEqual([
+      '$.name: is required',
+      '$.tags[0]: expected one of "a", "b"',
+      '$.age: expected integer, got number'
+    ]);
+  });
+
+  it('should check string, number and array bounds', () => {
+    const schema: JsonSchema = {
+      type: 'object',
+      properties: {
+        code: { type: 'string', pattern: '^[A-Z]+$', maxLength: 3 },
+        score: { type: 'number', minimum: 0, exclusiveMaximum: 1 },
+        items: { type: 'array', minItems: 1 }
+      },
+      additionalProperties: false
+    };
+
+    expect(validateJsonSchema({ code: 'abcd', score: 1, items: [], extra: true }, schema)).toEqual([
+      '$.code: longer than 3 characters',
+      '$.code: does not match ^[A-Z]+$',
+      '$.score: must be < 1',
+      '$.items: needs at least 1 items',
+      '$.extra: is not allowed'
+    ]);
+  });
+
+  it('should follow references and alternatives', () => {
+    const schema: JsonSchema = {
+      $defs: { id: { anyOf: [{ type: 'integer' }, { type: 'string', minLength: 1 }] } },
+      type: 'array',
+      items: { $ref: '#/$defs/id' }
+    };
+
+    expect(validateJsonSchema([1, 'x'], schema)).toEqual([]);
+    expect(validateJsonSchema([true], schema)).toEqual(['$[0]: does not match any allowed schema']);
+  });
+});
+
+describe('extractJson', () => {
+  it('should parse bare JSON', () => {
+    expect(extractJson(' {"a": 1} ')).toEqual({ value: { a: 1 } });
+  });
+
+  it('should parse JSON from a fenced code block', () => {
+    expect(extractJson('Here you go:\n```json\n[1, 2]\n```')).toEqual({ value: [1, 2] });
+  });
+
+  it('should parse JSON surrounded by prose', () => {
+    expect(extractJson('The answer is {"ok": true}. Hope that helps!')).toEqual({ value: { ok: true } });
+  });
+
+  it('should report text without valid JSON', () => {
+    expect(extractJson('  ')).toEqual({ error: 'no JSON found in the response' });
+    expect(extractJson('no idea').error).toMatch(/^invalid JSON: /);
+    expect(extractJson('{"a": }').error).toMatch(/^invalid JSON: /);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,258 @@
+import { JsonSchema } from '../types';
+import { AIError } from './ErrorHandler';
+
+const PRIMITIVE_RULES: Record<string, string> = {
+  ws: '([ \\t\\n] ws)?',
+  value: 'object | array | string | number | boolean | null',
+  object: '"{" ws ( string ":" ws value ( "," ws string ":" ws value )* )? "}" ws',
+  array: '"[" ws ( value ( "," ws value )* )? "]" ws',
+  string: '"\\"" ( [^"\\\\\\x7F\\x00-\\x1F] | "\\\\" ( ["\\\\/bfnrt] | "u" [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] [0-9a-fA-F] ) )* "\\"" ws',
+  number: '"-"? ( [0-9] | [1-9] [0-9]* ) ( "." [0-9]+ )? ( [eE] [-+]? [0-9]+ )? ws',
+  integer: '"-"? ( [0-9] | [1-9] [0-9]* ) ws',
+  boolean: '( "true" | "false" ) ws',
+  null: '"null" ws'
+};
+
+const PRIMITIVE_DEPENDENCIES: Record<string, string[]> = {
+  value: ['object', 'array', 'string', 'number', 'boolean', 'null'],
+  object: ['string', 'value'],
+  array: ['value']
+};
+
+function literal(value: unknown): string {
+  return `${JSON.stringify(JSON.stringify(value))} ws`;
+}
+
+class GrammarBuilder {
+  private rules = new Map<string, string>();
+  private refs = new Map<string, string>();
+
+  constructor(private root: JsonSchema) {}
+
+  build(): string {
+    this.rules.set('root', '');
+    this.rules.set('root', `ws ${this.visit(this.root, 'root')}`);
+    return Array.from(this.rules, ([name, body]) => `${name} ::= ${body}`).join('\n') + '\n';
+  }
+
+  private primitive(name: string): string {
+    if (!this.rules.has(name)) {
+      this.rules.set(name, PRIMITIVE_RULES[name]);
+      this.primitive('ws');
+      for (const dependency of PRIMITIVE_DEPENDENCIES[name] || []) {
+        this.primitive(dependency);
+      }
+    }
+    return name;
+  }
+
+  private add(name: string, body: string): string {
+    const base = name.replace(/[^a-zA-Z0-9-]+/g, '-');
+    let unique = base;
+    for (let index = 1; this.rules.has(unique); index++) {
+      unique = `${base}-${index}`;
+    }
+    this.rules.set(unique, body);
+    return unique;
+  }
+
+  private visit(schema: JsonSchema | boolean | undefined, name: string): string {
+    if (schema === undefined || schema === true || Object.keys(schema as object).length === 0) {
+      return this.primitive('value');
+    }
+    if (schema === false) {
+      throw AIError.configurationError('responseFormat.schema', schema, 'a false schema matches nothing');
+    }
+
+    if (schema.$ref) return this.visitRef(schema.$ref);
+
+    if (schema.const !== undefined) return literal(schema.const);
+    if (schema.enum) return `( ${schema.enum.map(literal).join(' | ')} )`;
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+      return `( ${alternatives.map((alternative, index) => this.visit(alternative, `${name}-${index}`)).join(' | ')} )`;
+    }
+    if (schema.allOf) {
+      return this.visit(Object.assign({}, ...schema.allOf), name);
+    }
+
+    if (Array.isArray(schema.type)) {
+      return `( ${schema.type.map(type => this.visit({ ...schema, type }, `${name}-${type}`)).join(' | ')} )`;
+    }
+
+    switch (schema.type) {
+      case 'object':
+        return schema.properties ? this.add(name, this.objectBody(schema, name)) : this.primitive('object');
+      case 'array':
+        return schema.items ? this.add(name, this.arrayBody(schema, name)) : this.primitive('array');
+      case 'string':
+      case 'number':
+      case 'integer':
+      case 'boolean':
+      case 'null':
+        return this.primitive(schema.type);
+      default:
+        return schema.properties ? this.add(name, this.objectBody(schema, name)) : this.primitive('value');
+    }
+  }
+
+  private visitRef(ref: string): string {
+    const existing = this.refs.get(ref);
+    if (existing) return existing;
+
+    const match = /^#\/(\$defs|definitions)\/(.+)$/.exec(ref);
+    const target = match ? (this.root as any)[match[1]]?.[match[2]] : undefined;
+    if (!target) {
+      throw AIError.configurationError('responseFormat.schema', ref, 'only local #/$defs and #/definitions references are supported');
+    }
+
+    const name = this.add(`ref-${match![2]}`, '');
+    this.refs.set(ref, name);
+    this.rules.set(name, this.visit(target, name));
+    return name;
+  }
+
+  private objectBody(schema: JsonSchema, name: string): string {
+    const required = new Set(schema.required || []);
+    const entries = Object.entries(schema.properties || {});
+    const property = ([key, value]: [string, JsonSchema]) =>
+      `${literal(key)} ":" ws ${this.visit(value, `${name}-${key}`)}`;
+
+    const mandatory = entries.filter(([key]) => required.has(key)).map(property);
+    const optional = entries.filter(([key]) => !required.has(key)).map(property);
+
+    if (mandatory.length > 0) {
+      const rest = optional.map(entry => ` ( "," ws ${entry} )?`).join('');
+      return `"{" ws ${mandatory.join(' "," ws ')}${rest} "}" ws`;
+    }
+    if (optional.length === 0) {
+      return '"{" ws "}" ws';
+    }
+
+    let chain = '';
+    for (let index = optional.length - 1; index >= 0; index--) {
+      const body = chain ? `${optional[index]} ( "," ws ${chain} )? | ${chain}` : optional[index];
+      chain = this.add(`${name}-after-${index}`, body);
+    }
+    return `"{" ws ${chain}? "}" ws`;
+  }
+
+  private arrayBody(schema: JsonSchema, name: string): string {
+    const item = this.visit(schema.items, `${name}-item`);
+    const list = `${item} ( "," ws ${item} )*`;
+    return (schema.minItems ?? 0) > 0 ? `"[" ws ${list} "]" ws` : `"[" ws ( ${list} )? "]" ws`;
+  }
+}
+
+export function jsonSchemaToGrammar(schema?: JsonSchema): string {
+  return new GrammarBuilder(schema || {}).build();
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+export function validateJsonSchema(value: unknown, schema: JsonSchema, root: JsonSchema = schema, at = '$'): string[] {
+  if (schema.$ref) {
+    const match = /^#\/(\$defs|definitions)\/(.+)$/.exec(schema.$ref);
+    const target = match ? (root as any)[match[1]]?.[match[2]] : undefined;
+    return target ? validateJsonSchema(value, target, root, at) : [`${at}: unresolved reference ${schema.$ref}`];
+  }
+
+  const errors: string[] = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, root, at).length === 0)) {
+    errors.push(`${at}: does not match any allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validateJsonSchema(value, option, root, at).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one allowed schema`);
+  }
+  for (const option of schema.allOf || []) {
+    errors.push(...validateJsonSchema(value, option, root, at));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items!, root, `${at}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    for (const key of schema.required || []) {
+      if (!(key in object)) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, entry] of Object.entries(object)) {
+      const property = schema.properties?.[key];
+      if (property) {
+        errors.push(...validateJsonSchema(entry, property, root, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(entry, schema.additionalProperties, root, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function extractJson(text: string): { value?: unknown; error?: string } {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const candidates = [text.trim(), fenced?.[1].trim()];
+
+  const start = text.search(/[[{]/);
+  if (start !== -1) {
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (end > start) candidates.push(text.slice(start, end + 1));
+  }
+
+  let error = 'no JSON found in the response';
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (parseError) {
+      error = `invalid JSON: ${(parseError as Error).message}`;
+    }
+  }
+  return { error };
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export type LogFields = Record<string, any>;
+
+export interface Logger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+  child?(bindings: LogFields): Logger;
+}
+
+const LEVELS: LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+export const DEFAULT_REDACTED_FIELDS = ['prompt', 'messages', 'content', 'text', 'input', 'systemPrompt'];
+
+function isEnabled(configLevel: LogLevel, level: LogLevel): boolean {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(configLevel);
+}
+
+function serializeValue(value: any): any {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: (value as any).code,
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+function serializeFields(fields: LogFields): LogFields {
+  const result: LogFields = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = serializeValue(value);
+  }
+  return result;
+}
+
+abstract class BaseLogger implements Logger {
+  constructor(
+    protected readonly level: LogLevel = 'info',
+    protected readonly bindings: LogFields = {}
+  ) {}
+
+  debug(message: string, fields?: LogFields): void {
+    this.log('debug', message, fields);
+  }
+
+  info(message: string, fields?: LogFields): void {
+    this.log('info', message, fields);
+  }
+
+  warn(message: string, fields?: LogFields): void {
+    this.log('warn', message, fields);
+  }
+
+  error(message: string, fields?: LogFields): void {
+    this.log('error', message, fields);
+  }
+
+  abstract child(bindings: LogFields): Logger;
+
+  private log(level: LogLevel, message: string, fields?: LogFields): void {
+    if (!isEnabled(this.level, level)) return;
+    this.write(level, message, serializeFields({ ...this.bindings, ...fields }));
+  }
+
+  protected abstract write(level: LogLevel, message: string, fields: LogFields): void;
+}
+
+export class ConsoleLogger extends BaseLogger {
+  child(bindings: LogFields): Logger {
+    return new ConsoleLogger(this.level, { ...this.bindings, ...bindings });
+  }
+
+  protected write(level: LogLevel, message: string, fields: LogFields): void {
+    const timestamp = new Date().toISOString();
+    const suffix = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    const line = `[${timestamp}] [${level.toUpperCase()}] ${message}${suffix}`;
+
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+export class JsonLogger extends BaseLogger {
+  private readonly sink: (line: string) => void;
+
+  constructor(
+    level: LogLevel = 'info',
+    sink?: (line: string) => void,
+    bindings: LogFields = {}
+  ) {
+    super(level, bindings);
+    this.sink = sink || JsonLogger.defaultSink;
+  }
+
+  child(bindings: LogFields): Logger {
+    return new JsonLogger(this.level, this.sink, { ...this.bindings, ...bindings });
+  }
+
+  protected write(level: LogLevel, message: string, fields: LogFields): void {
+    this.sink(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...fields
+    }));
+  }
+
+  private static defaultSink(line: string): void {
+    if (typeof process !== 'undefined' && process.stdout?.write) {
+      process.stdout.write(line + '\n');
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+export function redactValue(value: any): string {
+  if (typeof value === 'string') return `[REDACTED ${value.length} chars]`;
+  if (Array.isArray(value)) return `[REDACTED ${value.length} items]`;
+  return '[REDACTED]';
+}
+
+export function redactFields(fields: LogFields, keys: readonly string[]): LogFields {
+  const result: LogFields = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = keys.includes(key) && value !== undefined ? redactValue(value) : value;
+  }
+  return result;
+}
+
+export function childLogger(logger: Logger, bindings: LogFields): Logger {
+  if (logger.child) {
+    return logger.child(bindings);
+  }
+
+  const merge = (fields?: LogFields) => ({ ...bindings, ...fields });
+  return {
+    debug: (message, fields) => logger.debug(message, merge(fields)),
+    info: (message, fields) => logger.info(message, merge(fields)),
+    warn: (message, fields) => logger.warn(message, merge(fields)),
+    error: (message, fields) => logger.error(message, merge(fields)),
+    child: (more) => childLogger(logger, { ...bindings, ...more })
+  };
+}
+
+export function withRedaction(logger: Logger, keys: readonly string[] = DEFAULT_REDACTED_FIELDS): Logger {
+  const redact = (fields?: LogFields) => fields ? redactFields(fields, keys) : fields;
+  return {
+    debug: (message, fields) => logger.debug(message, redact(fields)),
+    info: (message, fields) => logger.info(message, redact(fields)),
+    warn: (message, fields) => logger.warn(message, redact(fields)),
+    error: (message, fields) => logger.error(message, redact(fields)),
+    child: (bindings) => withRedaction(childLogger(logger, redactFields(bindings, keys)), keys)
+  };
+}
\ No newline at end of file
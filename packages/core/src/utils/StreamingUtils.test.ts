@@ -0,0 +1,165 @@
+import { ErrorCode } from './ErrorHandler';
+import { BackpressureHandler, StopSequenceMatcher, StreamCancellation, linkAbortSignals } from './StreamingUtils';
+
+function run(stopSequences: string[], chunks: string[]) {
+  const matcher = new StopSequenceMatcher(stopSequences);
+  const emitted: string[] = [];
+
+  for (const chunk of chunks) {
+    const match = matcher.push(chunk);
+    emitted.push(match.text);
+    if (match.stopSequence !== undefined) {
+      return { emitted, stopSequence: match.stopSequence, trailing: match.trailing };
+    }
+  }
+
+  const rest = matcher.flush();
+  emitted.push(rest.text);
+  return { emitted, stopSequence: rest.stopSequence, trailing: rest.trailing };
+}
+
+describe('StopSequenceMatcher', () => {
+  it('should match a stop sequence split across chunks', () => {
+    expect(run(['</s>'], ['Hello wor', 'ld<', '/s', '>ignored'])).toEqual({
+      emitted: ['Hello wor', 'ld', '', ''],
+      stopSequence: '</s>',
+      trailing: 'ignored'
+    });
+  });
+
+  it('should match a stop sequence inside a single chunk', () => {
+    expect(run(['</s>'], ['Hi.</s>more'])).toEqual({ emitted: ['Hi.'], stopSequence: '</s>', trailing: 'more' });
+  });
+
+  it('should release held text when the prefix turns out not to match', () => {
+    expect(run(['User:'], ['a U', 'ser', 'ful thing'])).toEqual({
+      emitted: ['a ', '', 'Userful thing', ''],
+      stopSequence: undefined,
+      trailing: undefined
+    });
+  });
+
+  it('should hold back only the shortest ambiguous suffix', () => {
+    const matcher = new StopSequenceMatcher(['\nQ:', '###']);
+
+    expect(matcher.push('Answer #').text).toBe('Answer ');
+    expect(matcher.push('1 done\n').text).toBe('#1 done');
+    expect(matcher.flush()).toEqual({ text: '\n' });
+  });
+
+  it('should stop at the earliest match and prefer the longest sequence at the same position', () => {
+    expect(run(['ab', 'xabc'], ['x', 'ab', 'd'])).toEqual({ emitted: ['', '', 'x'], stopSequence: 'ab', trailing: 'd' });
+    expect(run(['ab', 'abc'], ['zabc'])).toEqual({ emitted: ['z'], stopSequence: 'abc', trailing: '' });
+  });
+
+  it('should match a stop sequence completed at flush', () => {
+    expect(run(['ab', 'xabc'], ['x', 'ab'])).toEqual({ emitted: ['', '', 'x'], stopSequence: 'ab', trailing: '' });
+  });
+
+  it('should emit held text at flush when nothing matched', () => {
+    expect(run(['END'], ['no stop EN'])).toEqual({ emitted: ['no stop ', 'EN'], stopSequence: undefined, trailing: undefined });
+  });
+
+  it('should ignore empty stop sequences', () => {
+    expect(run([''], ['text'])).toEqual({ emitted: ['text', ''], stopSequence: undefined, trailing: undefined });
+  });
+});
+
+describe('linkAbortSignals', () => {
+  it('should abort with the reason of whichever source aborts first', () => {
+    const request = new AbortController();
+    const lifecycle = new AbortController();
+    const { signal } = linkAbortSignals(request.signal, undefined, lifecycle.signal);
+
+    lifecycle.abort('disposed');
+    request.abort('late');
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toBe('disposed');
+  });
+
+  it('should start aborted when a source already is', () => {
+    const request = new AbortController();
+    request.abort('early');
+
+    expect(linkAbortSignals(request.signal).signal.reason).toBe('early');
+  });
+
+  it('should stop following the sources once unlinked', () => {
+    const lifecycle = new AbortController();
+    const { signal, unlink } = linkAbortSignals(lifecycle.signal);
+
+    unlink();
+    lifecycle.abort();
+
+    expect(signal.aborted).toBe(false);
+  });
+});
+
+describe('BackpressureHandler', () => {
+  it('should resolve whenIdle once every acquired slot is released', async () => {
+    const queue = new BackpressureHandler(1);
+    await queue.acquire();
+    const waiting = queue.acquire();
+
+    let idle = false;
+    const whenIdle = queue.whenIdle().then(() => { idle = true; });
+
+    queue.release();
+    await waiting;
+    await Promise.resolve();
+    expect(idle).toBe(false);
+
+    queue.release();
+    await whenIdle;
+    expect(idle).toBe(true);
+  });
+
+  it('should drop an aborted waiter from the queue and hand the slot to the next one', async () => {
+    const queue = new BackpressureHandler(1, 2);
+    const controller = new AbortController();
+    await queue.acquire();
+    const aborted = queue.acquire(10, controller.signal);
+    const next = queue.acquire(0);
+
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ code: ErrorCode.CANCELLED });
+    expect(queue.waitingCount).toBe(1);
+
+    queue.release();
+    await next;
+    expect(queue.pendingCount).toBe(1);
+    expect(queue.waitingCount).toBe(0);
+  });
+});
+
+describe('StreamCancellation', () => {
+  it('should remove its abort listener when disposed', () => {
+    const controller = new AbortController();
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+    const cancellation = new StreamCancellation(controller.signal);
+    const onCancel = jest.fn();
+    cancellation.onCancel(onCancel);
+
+    cancellation.dispose();
+    controller.abort();
+
+    expect(remove).toHaveBeenCalledWith('abort', expect.any(Function));
+    expect(cancellation.isCancelled).toBe(false);
+    expect(onCancel).not.toHaveBeenCalled();
+  });
+
+  it('should detach from the signal once cancelled directly', () => {
+    const controller = new AbortController();
+    const remove = jest.spyOn(controller.signal, 'removeEventListener');
+    const cancellation = new StreamCancellation(controller.signal);
+    const onCancel = jest.fn();
+    cancellation.onCancel(onCancel);
+
+    cancellation.cancel();
+    controller.abort();
+
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
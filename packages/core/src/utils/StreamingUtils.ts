@@ -1,3 +1,5 @@
+import { AIError } from './ErrorHandler';
+
 export class StreamController<T> {
   private _controller: ReadableStreamDefaultController<T> | null = null;
   private _stream: ReadableStream<T>;
@@ -52,33 +54,76 @@ export class StreamController<T> {
 export class BackpressureHandler {
   private pending = 0;
   private maxPending: number;
-  private waitingResolvers: Array<() => void> = [];
+  private maxWaiting: number;
+  private name: string;
+  private waitingResolvers: Array<{ priority: number; resolve: () => void }> = [];
+  private idleResolvers: Array<() => void> = [];
 
-  constructor(maxPending = 10) {
+  constructor(maxPending = 10, maxWaiting = Infinity, name = 'backpressure') {
     this.maxPending = maxPending;
+    this.maxWaiting = maxWaiting;
+    this.name = name;
   }
 
-  async acquire(): Promise<void> {
+  async acquire(priority = 0, signal?: AbortSignal): Promise<void> {
+    throwIfAborted(signal, 'acquire');
+
     if (this.pending < this.maxPending) {
       this.pending++;
       return;
     }
 
-    return new Promise<void>((resolve) => {
-      this.waitingResolvers.push(resolve);
+    if (this.waitingResolvers.length >= this.maxWaiting) {
+      throw AIError.queueFull(this.name, this.maxWaiting);
+    }
+
+    return new Promise<void>((resolve, reject) => {
+      const onAbort = () => {
+        const index = this.waitingResolvers.indexOf(waiter);
+        if (index >= 0) {
+          this.waitingResolvers.splice(index, 1);
+        }
+        reject(abortError(signal!, 'acquire'));
+      };
+
+      const waiter = {
+        priority,
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+
+      const index = this.waitingResolvers.findIndex(w => w.priority < priority);
+      if (index === -1) {
+        this.waitingResolvers.push(waiter);
+      } else {
+        this.waitingResolvers.splice(index, 0, waiter);
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
   }
 
   release(): void {
     this.pending--;
 
-    const resolver = this.waitingResolvers.shift();
-    if (resolver) {
+    const waiter = this.waitingResolvers.shift();
+    if (waiter) {
       this.pending++;
-      resolver();
+      waiter.resolve();
+    } else if (this.pending === 0) {
+      const resolvers = this.idleResolvers;
+      this.idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
     }
   }
 
+  whenIdle(): Promise<void> {
+    if (this.pending === 0) return Promise.resolve();
+    return new Promise<void>(resolve => this.idleResolvers.push(resolve));
+  }
+
   get pendingCount(): number {
     return this.pending;
   }
@@ -136,7 +181,7 @@ export async function* streamWithTimeout<T>(
     while (true) {
       timeoutPromise = new Promise<never>((_, reject) => {
         timeoutId = setTimeout(() => {
-          reject(new Error(`Stream timeout after ${timeoutMs}ms`));
+          reject(AIError.timeoutError('stream', timeoutMs));
         }, timeoutMs);
       });
 
@@ -181,6 +226,112 @@ export async function* transformStream<T, R>(
   }
 }
 
+export async function* tapStream<T, R = any>(
+  generator: AsyncGenerator<T, R>,
+  onValue: (value: T) => void
+): AsyncGenerator<T, R> {
+  let finished = false;
+
+  try {
+    while (true) {
+      const next = await generator.next();
+      if (next.done) {
+        finished = true;
+        return next.value;
+      }
+      onValue(next.value);
+      yield next.value;
+    }
+  } finally {
+    if (!finished) await generator.return(undefined as never);
+  }
+}
+
+export async function drainStream<T, R>(generator: AsyncGenerator<T, R>): Promise<R> {
+  while (true) {
+    const next = await generator.next();
+    if (next.done) return next.value;
+  }
+}
+
+export interface StopSequenceMatch {
+  text: string;
+  stopSequence?: string;
+  trailing?: string;
+}
+
+export class StopSequenceMatcher {
+  private pending = '';
+  private stopSequences: string[];
+
+  constructor(stopSequences: string[]) {
+    this.stopSequences = stopSequences.filter(sequence => sequence.length > 0);
+  }
+
+  push(text: string): StopSequenceMatch {
+    this.pending += text;
+
+    const match = this.findMatch();
+    const held = this.findPartialMatch();
+
+    if (match && match.index <= held) {
+      return this.stopAt(match.index, match.sequence);
+    }
+
+    const emitted = this.pending.slice(0, held);
+    this.pending = this.pending.slice(held);
+    return { text: emitted };
+  }
+
+  flush(): StopSequenceMatch {
+    const match = this.findMatch();
+    if (match) {
+      return this.stopAt(match.index, match.sequence);
+    }
+
+    const text = this.pending;
+    this.pending = '';
+    return { text };
+  }
+
+  private stopAt(index: number, sequence: string): StopSequenceMatch {
+    const text = this.pending.slice(0, index);
+    const trailing = this.pending.slice(index + sequence.length);
+    this.pending = '';
+    return { text, stopSequence: sequence, trailing };
+  }
+
+  private findMatch(): { index: number; sequence: string } | null {
+    let best: { index: number; sequence: string } | null = null;
+
+    for (const sequence of this.stopSequences) {
+      const index = this.pending.indexOf(sequence);
+      if (index === -1) continue;
+      if (!best || index < best.index || (index === best.index && sequence.length > best.sequence.length)) {
+        best = { index, sequence };
+      }
+    }
+
+    return best;
+  }
+
+  private findPartialMatch(): number {
+    let earliest = this.pending.length;
+
+    for (const sequence of this.stopSequences) {
+      const start = Math.max(0, this.pending.length - sequence.length + 1);
+      for (let index = start; index < earliest; index++) {
+        if (sequence.startsWith(this.pending.slice(index))) {
+          earliest = index;
+          break;
+        }
+      }
+    }
+
+    return earliest;
+  }
+}
+
 export async function* bufferStream<T>(
   generator: AsyncGenerator<T>,
   bufferSize: number
@@ -208,11 +359,26 @@ export async function* bufferStream<T>(
 export class StreamCancellation {
   private _cancelled = false;
   private _onCancel: Array<() => void> = [];
+  private _detach?: () => void;
+
+  constructor(signal?: AbortSignal) {
+    if (signal) {
+      if (signal.aborted) {
+        this._cancelled = true;
+      } else {
+        const onAbort = () => this.cancel();
+        signal.addEventListener('abort', onAbort, { once: true });
+        this._detach = () => signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
 
   cancel(): void {
     if (!this._cancelled) {
       this._cancelled = true;
-      this._onCancel.forEach(callback => {
+      const callbacks = this._onCancel;
+      this.dispose();
+      callbacks.forEach(callback => {
         try {
           callback();
         } catch (error) {
@@ -222,6 +388,12 @@ export class StreamCancellation {
     }
   }
 
+  dispose(): void {
+    this._detach?.();
+    this._detach = undefined;
+    this._onCancel = [];
+  }
+
   onCancel(callback: () => void): void {
     if (this._cancelled) {
       callback();
@@ -236,7 +408,102 @@ export class StreamCancellation {
 
   throwIfCancelled(): void {
     if (this._cancelled) {
-      throw new Error('Stream was cancelled');
+      throw AIError.cancelled('stream');
+    }
+  }
+}
+
+export function abortError(signal: AbortSignal, operation: string): AIError {
+  return signal.reason instanceof AIError ? signal.reason : AIError.cancelled(operation, signal.reason);
+}
+
+export function throwIfAborted(signal: AbortSignal | undefined, operation: string): void {
+  if (signal?.aborted) {
+    throw abortError(signal, operation);
+  }
+}
+
+export function withAbortSignal<T>(
+  promise: Promise<T>,
+  signal: AbortSignal | undefined,
+  operation: string
+): Promise<T> {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal, operation));
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal, operation));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+export function linkAbortSignals(...signals: Array<AbortSignal | undefined>): { signal: AbortSignal; unlink(): void } {
+  const controller = new AbortController();
+  const sources = signals.filter((signal): signal is AbortSignal => signal !== undefined);
+  const listeners = sources.map(source => {
+    const onAbort = () => {
+      unlink();
+      controller.abort(source.reason);
+    };
+    return { source, onAbort };
+  });
+
+  function unlink(): void {
+    for (const { source, onAbort } of listeners) {
+      source.removeEventListener('abort', onAbort);
     }
   }
+
+  const aborted = sources.find(source => source.aborted);
+  if (aborted) {
+    controller.abort(aborted.reason);
+  } else {
+    for (const { source, onAbort } of listeners) {
+      source.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return { signal: controller.signal, unlink };
+}
+
+export function linkDeadline(
+  signal: AbortSignal | undefined,
+  timeoutMs: number | undefined,
+  operation: string
+): { signal: AbortSignal | undefined; restart(): void; pause(): void; clear(): void } {
+  if (!timeoutMs) {
+    return { signal, restart: () => undefined, pause: () => undefined, clear: () => undefined };
+  }
+
+  const deadline = new AbortController();
+  const linked = linkAbortSignals(signal, deadline.signal);
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const pause = () => clearTimeout(timer);
+  const restart = () => {
+    pause();
+    timer = setTimeout(() => deadline.abort(AIError.timeoutError(operation, timeoutMs)), timeoutMs);
+  };
+  restart();
+
+  return {
+    signal: linked.signal,
+    restart,
+    pause,
+    clear: () => {
+      pause();
+      linked.unlink();
+    }
+  };
 }
\ No newline at end of file